@@ -1,10 +1,22 @@
 #!/usr/bin/env node
 import { program } from 'commander';
-import { resolve, dirname, extname, join, relative, basename } from 'node:path';
+import { resolve, dirname, join, relative, basename, sep } from 'node:path';
 import { readFileSync, writeFileSync, existsSync, statSync, readdirSync } from 'node:fs';
 import { fileURLToPath } from 'node:url';
 
-import { loadPlugins, walk, bundle, log, makeTree } from '../lib/core.js';
+import { scan } from '../lib/scan.js';
+import { bundle, bundleJson, jsonEdges, makeTree, log } from '../lib/core.js';
+import { estimateTokens, fitToBudget } from '../lib/budget.js';
+import { toDot, toMermaid, importChain, findCycles } from '../lib/graph.js';
+import { collectDiffs } from '../lib/git.js';
+import { findProjectRoot, findRepositoryRoot } from '../lib/project.js';
+import { loadConfig, resolveProfile, configValue, checkSearchDirs, CONFIG_FILES } from '../lib/config.js';
+import { createRedactor, redactFiles } from '../lib/redact.js';
+import { classifyFiles, truncateText, parseSize, formatSize } from '../lib/content.js';
+import { createWatcher } from '../lib/watch.js';
+import { defaultCacheDir } from '../lib/cache.js';
+import { outlineFiles } from '../lib/outline.js';
+import { sliceFiles } from '../lib/slice.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const PKG_ROOT   = dirname(dirname(__filename));              // repo root
@@ -12,6 +24,17 @@ const PKG_ROOT   = dirname(dirname(__filename));              // repo root
 // Read package.json for version info
 const packageJson = JSON.parse(readFileSync(join(PKG_ROOT, 'package.json'), 'utf8'));
 
+// Repeatable options collect into an array; a given --exclude replaces the
+// default instead of adding to it
+const DEFAULT_EXCLUDE = ['node_modules'];
+const collect = (value, previous) =>
+  previous === DEFAULT_EXCLUDE || !previous ? [value] : [...previous, value];
+const commaList = v => v.split(',').map(s => s.trim()).filter(Boolean);
+
+// Quiet period before --watch rebuilds, so a save touching several files
+// (or a formatter running after it) produces a single rebuild
+const WATCH_DEBOUNCE_MS = 300;
+
 /* CLI -------------------------------------------------------------------- */
 program
   .name('scanex')
@@ -24,23 +47,125 @@ program
     '                                       scanex src/main.js lib/utils.js\n' +
     '                                     Or continue using --input for backward compatibility:\n' +
     '                                       --input src/main.js,lib/utils.js')
-  .option('-e, --exclude <pattern>',
-    'regex pattern of paths to ignore (default: "node_modules")\n' +
-    '                                     Note: .gitignore patterns are automatically included\n' +
+  .option('-e, --exclude <glob>',
+    'gitignore-style pattern of paths to ignore, repeatable (default: "node_modules")\n' +
+    '                                     Prefix with ! to keep matching paths again.\n' +
+    '                                     .gitignore and .scanexignore files are always honoured\n' +
     '                                     Examples:\n' +
-    '                                       --exclude "node_modules|test|dist"\n' +
-    '                                       --exclude ".*\\.spec\\.js$"',
-    'node_modules')
+    '                                       --exclude dist/ --exclude "**/*.snap"\n' +
+    '                                       --exclude "fixtures/" --exclude "!fixtures/keep.js"\n' +
+    '                                     Plain words and regexes match anywhere in the path,\n' +
+    '                                     ignoring case: --exclude test --exclude "test|spec"',
+    collect, DEFAULT_EXCLUDE)
+  .option('--include <glob>',
+    'gitignore-style pattern of files to keep, repeatable; others are skipped\n' +
+    '                                     Prefix with ! to drop matching files again\n' +
+    '                                     Example: --include "src/**/*.ts" --include "!**/*.test.ts"',
+    collect)
   .option('-o, --output <file>',
     'write output to specified file instead of stdout\n' +
     '                                     Examples:\n' +
     '                                       --output documentation.md\n' +
     '                                       --output ./docs/codebase.md')
+  .option('-f, --format <type>',
+    'output format: "markdown" (default) or "json"\n' +
+    '                                     json emits every file with its contents and depth,\n' +
+    '                                     plus the resolved import graph',
+    'markdown')
+  .option('-g, --graph <type>',
+    'print the import graph instead of the bundle: "dot" or "mermaid"\n' +
+    '                                     Nodes are coloured by language; inputs are highlighted')
+  .option('--max-tokens <n>',
+    'fit the bundle into an estimated token budget\n' +
+    '                                     Seed files are kept in full; the farthest dependencies\n' +
+    '                                     are collapsed or dropped first. Example:\n' +
+    '                                       --max-tokens 100000',
+    v => parseInt(v, 10))
+  .option('--max-file-size <size>',
+    'truncate larger files to their first and last lines (default: 100kb)\n' +
+    '                                     Use 0 for no limit. Images, binaries and minified\n' +
+    '                                     files are always listed as references instead',
+    '100kb')
+  .option('--slice',
+    'bundle only the declarations of dependencies that importing files use\n' +
+    '                                     (JavaScript/TypeScript and Python; whole files otherwise)')
+  .option('--outline',
+    'collapse function bodies of dependencies to signatures (same as\n' +
+    '                                     --outline-depth 1); input files are kept in full')
+  .option('--outline-depth <n>',
+    'outline only dependencies <n> or more hops from the input files\n' +
+    '                                     Example: --outline-depth 2 (direct imports stay full)',
+    v => parseInt(v, 10))
   .option('--no-tree', 'skip directory tree visualization')
   .option('--no-deps', 'do not follow dependencies (scan only specified files)')
+  .option('-d, --depth <n>',
+    'stop following imports after <n> hops from the input files\n' +
+    '                                     Example: --depth 1 (only direct imports)',
+    v => parseInt(v, 10))
+  .option('--dependents',
+    'also bundle every project file that imports the inputs\n' +
+    '                                     (directly or transitively); scans the whole project')
+  .option('--dependents-depth <n>',
+    'stop following importers after <n> hops (with --dependents)',
+    v => parseInt(v, 10))
+  .option('--pair-sources',
+    'bring in the implementation file of every C/C++ header\n' +
+    '                                     (foo.c with foo.h), as if the header included it')
+  .option('--since <ref>',
+    'start from files changed since a git ref (plus untracked files)\n' +
+    '                                     Example: --since main')
+  .option('--staged', 'start from files staged in the git index')
+  .option('--diff',
+    'append a git diff after each changed file\n' +
+    '                                     (against --since, the index with --staged, or HEAD)')
+  .option('--diff-only', 'like --diff, but changed files show only their diff hunks')
+  .option('--diff-context <n>', 'lines of context around diff hunks (default: 3)', v => parseInt(v, 10), 3)
+  .option('--no-redact', 'do not mask secrets (keys, tokens, .env values) in the output')
+  .option('--redact-pattern <regex>',
+    'also mask matches of this regex, repeatable; with a capture group\n' +
+    '                                     only the group is masked\n' +
+    '                                     Example: --redact-pattern "internal_token=(\\w+)"',
+    collect)
+  .option('--fail-on-secrets', 'exit with an error instead of writing output when secrets are found')
+  .option('-w, --watch',
+    'keep running and rewrite --output whenever a bundled file or an input\n' +
+    '                                     directory changes')
+  .option('-j, --jobs <n>',
+    'parse files in N worker threads (default: 1, 0 = one per CPU core)\n' +
+    '                                     The output is identical to a single-threaded run',
+    v => parseInt(v, 10))
+  .option('--cache',
+    'keep parsed imports between runs in the scan cache, so repeat runs\n' +
+    '                                     only parse the files that changed')
+  .option('--no-cache', 'do not read or write the scan cache (the default)')
+  .option('--cache-dir <dir>',
+    'keep the scan cache in <dir>, turning it on (default: node_modules/.cache/scanex,\n' +
+    '                                     or ~/.cache/scanex/<project> without node_modules)')
+  .option('--explain',
+    'report imports no plugin could resolve, grouped by plugin and file, as\n' +
+    '                                     external packages, alias misses or paths not found')
+  .option('--why <file>', 'print the import chain from an input to <file> and exit')
+  .option('--cycles',
+    'list import cycles instead of bundling; with --format json, write them\n' +
+    '                                     as JSON (usable as a --fail-on-cycles baseline)')
+  .option('--fail-on-cycles [baseline]',
+    'like --cycles, but exit with an error when there are cycles; with a\n' +
+    '                                     baseline file, only cycles not listed in it fail\n' +
+    '                                     Example: --fail-on-cycles .scanex-cycles.json')
   .option('--dry-run', 'preview what files would be scanned without processing')
   .option('--stats', 'show statistics (file count, languages, size)')
   .option('-q, --quiet', 'suppress progress messages')
+  .option('-c, --config <file>',
+    'read settings from this file instead of the project\'s\n' +
+    '                                     .scanexrc, .scanexrc.json or scanex.config.js')
+  .option('-p, --profile <name>', 'apply a named profile from the config file')
+  .option('--plugins <names>',
+    'comma-separated language plugins to use (default: all)\n' +
+    '                                     Example: --plugins javascript,css',
+    commaList)
+  .option('--disable-plugins <names>',
+    'comma-separated language plugins to skip',
+    commaList)
   .addHelpText('after', `
 Examples:
   $ scanex
@@ -52,8 +177,8 @@ Examples:
   $ scanex src/ lib/utils.js
     Analyze multiple files/directories (NEW: space-separated!)
 
-  $ scanex src/ --exclude "test" --output docs.md
-    Analyze src with custom exclude pattern
+  $ scanex src/ --exclude test --exclude "*.snap" --output docs.md
+    Analyze src, skipping paths that contain "test" and snapshot files
 
   $ scanex --input src/main.js
     Analyze using legacy --input flag (still supported)
@@ -67,6 +192,33 @@ Examples:
   $ scanex --no-tree src/ --output docs.md
     Skip directory tree in output (NEW!)
 
+  $ scanex src/controllers/users_controller.rb --depth 2
+    Follow imports at most two hops away from the controller
+
+  $ scanex src/utils/format.ts --dependents --no-deps
+    Bundle everything that imports format.ts (its callers)
+
+  $ scanex --since main
+    Bundle the files changed on this branch plus their dependencies
+
+  $ scanex --staged --depth 1
+    Bundle staged files and what they import directly
+
+  $ scanex --since main --diff-only
+    Show changed files as diffs and their dependencies in full
+
+  $ scanex src/main.ts --format json > bundle.json
+    Emit files and the dependency graph as JSON for other tools
+
+  $ scanex src/main.ts --graph mermaid
+    Draw the import graph as a Mermaid flowchart
+
+  $ scanex src/app.ts --max-tokens 32000
+    Trim the bundle to fit a 32k-token context window
+
+  $ scanex --profile backend
+    Use the "backend" profile from .scanexrc
+
   $ scanex | pbcopy
     Copy bundled code directly to clipboard (macOS)
 
@@ -88,10 +240,6 @@ For more information, visit: https://github.com/darkamenosa/scanex
 const opts = program.opts();
 const positionalArgs = program.args;
 
-/* plug-ins --------------------------------------------------------------- */
-const { scanners, resolvers, ALL_EXT } =
-  await loadPlugins(join(PKG_ROOT, 'lib/lang'), opts.quiet);
-
 // Determine inputs: positional args > --input flag > current directory
 let INPUTS;
 if (positionalArgs && positionalArgs.length > 0) {
@@ -105,6 +253,69 @@ if (positionalArgs && positionalArgs.length > 0) {
   INPUTS = [resolve('.')];
 }
 
+/* project config and profiles -------------------------------------------- */
+// Values from .scanexrc / scanex.config.js (and the selected profile) fill in
+// every option that was not given on the command line
+const explicitInputs = positionalArgs.length > 0 || Boolean(opts.input);
+{
+  const { root } = findProjectRoot(INPUTS[0]);
+  let loaded;
+  try {
+    loaded = await loadConfig(root, opts.config);
+  } catch (e) {
+    console.error(`❌ ${e.message}`);
+    process.exit(1);
+  }
+
+  if (opts.profile && !loaded.config) {
+    console.error(`❌ --profile ${opts.profile} needs a config file (${CONFIG_FILES.join(', ')})`);
+    process.exit(1);
+  }
+
+  if (loaded.config) {
+    let settings;
+    try {
+      settings = resolveProfile(loaded.config, opts.profile);
+    } catch (e) {
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    }
+
+    const configName = relative('.', loaded.path) || loaded.path;
+    const options = new Map(program.options.map(o => [o.attributeName(), o]));
+    for (const [key, value] of Object.entries(settings)) {
+      const known = options.has(key) || key === 'inputs' || key === 'searchDirs';
+      if (!known || ['config', 'profile', 'version'].includes(key)) {
+        console.warn(`⚠️  Unknown setting "${key}" in ${configName}`);
+        continue;
+      }
+      // Values are checked and parsed like their command-line counterparts
+      let parsed;
+      try {
+        if (key === 'inputs') {
+          parsed = configValue(options.get('input'), value, { repeatable: true });
+        } else if (key === 'searchDirs') {
+          parsed = checkSearchDirs(value);
+        } else {
+          const option = options.get(key);
+          parsed = configValue(option, value, { repeatable: option.parseArg === collect, list: option.parseArg === commaList });
+        }
+      } catch (e) {
+        console.error(`❌ Invalid setting in ${configName}: ${e.message}`);
+        process.exit(1);
+      }
+      if (key === 'inputs') {
+        if (!explicitInputs) INPUTS = parsed.map(p => resolve(root, p));
+      } else if (program.getOptionValueSource(key) !== 'cli') {
+        opts[key] = parsed;
+      }
+    }
+    if (!opts.quiet) {
+      console.error(`[scanex] Loaded config from ${configName}${opts.profile ? ` (profile ${opts.profile})` : ''}`);
+    }
+  }
+}
+
 // Validate inputs exist
 for (const inputPath of INPUTS) {
   if (!existsSync(inputPath)) {
@@ -140,309 +351,261 @@ for (const inputPath of INPUTS) {
   }
 }
 
-/* find project root ------------------------------------------------------ */
-let projectRoot = INPUTS[0];
-
-// If input is a file, start from its directory
-if (existsSync(projectRoot) && statSync(projectRoot).isFile()) {
-  projectRoot = dirname(projectRoot);
+if (!['markdown', 'json'].includes(opts.format)) {
+  console.error(`❌ Unknown --format "${opts.format}" (expected markdown or json)`);
+  process.exit(1);
 }
-
-// Function to check for repository root markers
-function isRepositoryRoot(dir) {
-  // Only consider it a repo root if it has .git directory (the definitive marker)
-  // .gitignore alone is not enough as it can exist in subdirectories
-  return existsSync(join(dir, '.git'));
+if (opts.graph !== undefined && !['dot', 'mermaid'].includes(opts.graph)) {
+  console.error(`❌ Unknown --graph "${opts.graph}" (expected dot or mermaid)`);
+  process.exit(1);
 }
-
-// Function to check for project root markers
-function isProjectRoot(dir) {
-  const projectMarkers = [
-    'package.json',    // Node.js/JavaScript
-    'pyproject.toml',  // Python
-    'Cargo.toml',      // Rust
-    'go.mod',          // Go
-    'pom.xml',         // Java/Maven
-    'build.gradle',    // Java/Gradle
-    'composer.json',   // PHP
-    'Gemfile',         // Ruby
-    'requirements.txt' // Python (alternative)
-  ];
-  return projectMarkers.some(marker => existsSync(join(dir, marker)));
+if (opts.since && opts.staged) {
+  console.error(`❌ --since and --staged cannot be combined`);
+  process.exit(1);
 }
-
-// Function to safely parse JSON-like config files (tsconfig, jsconfig)
-function parseConfigFile(content) {
-  try {
-    // First, try to parse as-is (in case it's already valid JSON)
-    return JSON.parse(content);
-  } catch (e) {
-    // If that fails, clean it up
-    let cleanContent = content;
-    
-    // Remove single-line comments, but not inside strings
-    cleanContent = cleanContent.replace(/\/\/.*$/gm, '');
-    
-    // Remove multi-line comments, but be careful about strings
-    cleanContent = cleanContent.replace(/\/\*[\s\S]*?\*\//g, '');
-    
-    // Remove trailing commas before closing brackets/braces
-    cleanContent = cleanContent.replace(/,(\s*[}\]])/g, '$1');
-    
-    // Handle common tsconfig.json issues
-    cleanContent = cleanContent
-      // Remove any remaining trailing commas
-      .replace(/,(\s*[}\],])/g, '$1')
-      // Clean up any double commas that might have been created
-      .replace(/,,+/g, ',')
-      // Remove commas before closing braces/brackets
-      .replace(/,(\s*[}\]])/g, '$1');
-    
-    try {
-      return JSON.parse(cleanContent);
-    } catch (e2) {
-      // If still failing, try a more aggressive approach
-      console.warn(`⚠️  TSConfig parsing failed, attempting fallback parsing...`);
-      
-      // Try to extract just the compilerOptions section if possible
-      const compilerOptionsMatch = cleanContent.match(/"compilerOptions"\s*:\s*({[^}]*})/);
-      if (compilerOptionsMatch) {
-        try {
-          const compilerOptions = JSON.parse(compilerOptionsMatch[1]);
-          return { compilerOptions };
-        } catch (e3) {
-          // If even that fails, return minimal config
-          console.warn(`⚠️  Could not parse tsconfig.json, path aliases will not work`);
-          return null;
-        }
-      }
-      
-      // Last resort: return null to disable path alias resolution
-      console.warn(`⚠️  Could not parse tsconfig.json, path aliases will not work`);
-      return null;
-    }
-  }
+if (!(opts.diffContext >= 0)) {
+  console.error(`❌ --diff-context expects a number of lines (0 or more)`);
+  process.exit(1);
 }
-
-// Search strategy: prioritize repository root, then project root
-const originalProjectRoot = projectRoot;
-let foundRepoRoot = null;
-let foundProjectRoot = null;
-
-// Search upward for repository and project markers
-let currentDir = projectRoot;
-while (currentDir !== dirname(currentDir)) { // Stop at filesystem root
-  if (isRepositoryRoot(currentDir) && !foundRepoRoot) {
-    foundRepoRoot = currentDir;
-  }
-  if (isProjectRoot(currentDir) && !foundProjectRoot) {
-    foundProjectRoot = currentDir;
-  }
-  
-  // If we found a repository root, we can stop searching
-  if (foundRepoRoot) break;
-  
-  const parent = dirname(currentDir);
-  if (parent === currentDir) break; // Additional safety check
-  currentDir = parent;
+if (opts.maxTokens !== undefined && !(opts.maxTokens > 0)) {
+  console.error(`❌ --max-tokens expects a positive number`);
+  process.exit(1);
 }
-
-// Choose the best project root:
-// 1. Repository root (if found)
-// 2. Project root (if found)
-// 3. Original input directory (fallback)
-if (foundRepoRoot) {
-  projectRoot = foundRepoRoot;
-  if (!opts.quiet) console.error(`[scanex] Repository root detected as: ${projectRoot}`);
-} else if (foundProjectRoot) {
-  projectRoot = foundProjectRoot;
-  if (!opts.quiet) console.error(`[scanex] Project root detected as: ${projectRoot}`);
-} else {
-  projectRoot = originalProjectRoot;
-  if (!opts.quiet) console.error(`[scanex] Using input directory as project root: ${projectRoot}`);
+if (opts.watch && !opts.output) {
+  console.error(`❌ --watch needs --output to know where to write the bundle`);
+  process.exit(1);
+}
+if (opts.watch && (opts.dryRun || opts.stats || opts.cycles || opts.failOnCycles)) {
+  const other = opts.dryRun ? '--dry-run' : opts.stats ? '--stats' : opts.cycles ? '--cycles' : '--fail-on-cycles';
+  console.error(`❌ --watch cannot be combined with ${other}`);
+  process.exit(1);
+}
+const maxFileSize = parseSize(opts.maxFileSize);
+if (!(maxFileSize >= 0)) {
+  console.error(`❌ --max-file-size expects a size like 200kb, 1mb or a number of bytes`);
+  process.exit(1);
+}
+if (opts.jobs !== undefined && !(opts.jobs >= 0)) {
+  console.error(`❌ --jobs expects a number of worker threads (0 for one per CPU core)`);
+  process.exit(1);
+}
+if (opts.outlineDepth !== undefined && !(opts.outlineDepth >= 1)) {
+  console.error(`❌ --outline-depth expects a number of hops (1 or more)`);
+  process.exit(1);
+}
+if (opts.depth !== undefined && !(opts.depth >= 0)) {
+  console.error(`❌ --depth expects a number of hops (0 or more)`);
+  process.exit(1);
+}
+if (opts.dependentsDepth !== undefined && !(opts.dependentsDepth >= 0)) {
+  console.error(`❌ --dependents-depth expects a number of hops (0 or more)`);
+  process.exit(1);
 }
 
-/* read .gitignore patterns ----------------------------------------------- */
-// .gitignore files are now handled on-demand in the walk function
-// Only keep user exclude patterns
-const IGNORE = new RegExp(opts.exclude, 'i');
-
-/* load ts/jsconfig for path aliases -------------------------------------- */
-// Function to find the nearest tsconfig.json or jsconfig.json
-function findNearestConfig(startPath, projectRoot) {
-  let currentDir = dirname(startPath);
-  
-  // Search upward from the file location, but don't go above project root
-  while (currentDir.startsWith(projectRoot)) {
-    const tsconfigPath = join(currentDir, 'tsconfig.json');
-    const jsconfigPath = join(currentDir, 'jsconfig.json');
-    
-    if (existsSync(tsconfigPath)) {
-      return { path: tsconfigPath, type: 'tsconfig' };
+/* discover files --------------------------------------------------------- */
+const scanOptions = {
+  inputs: INPUTS,
+  exclude: opts.exclude,
+  include: opts.include,
+  deps: opts.deps,
+  depth: opts.depth,
+  dependents: opts.dependents,
+  dependentsDepth: opts.dependentsDepth,
+  since: opts.since,
+  staged: opts.staged,
+  tree: opts.tree,
+  plugins: opts.plugins,
+  disablePlugins: opts.disablePlugins,
+  searchDirs: opts.searchDirs,
+  pairSources: opts.pairSources,
+  jobs: opts.jobs,
+  // Parsed imports are kept between rebuilds in --watch mode
+  cache: opts.watch ? new Map() : undefined,
+  cacheDir: opts.cache || (opts.cacheDir && opts.cache !== false)
+    ? resolve(opts.cacheDir ?? defaultCacheDir(findProjectRoot(INPUTS[0]).root))
+    : undefined
+};
+
+let result;
+try {
+  result = await scan({ ...scanOptions, quiet: Boolean(opts.quiet) });
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+const { projectRoot, files } = result;
+
+const rel = f => relative(projectRoot, f);
+
+/* git change report ------------------------------------------------------ */
+if (result.git && !opts.quiet) {
+  const { changed, deleted, renamed } = result.git;
+  const source = result.git.staged ? 'staged' : `changed since ${result.git.ref}`;
+  console.error(`\n🔀 ${changed.length} file${changed.length === 1 ? '' : 's'} ${source}`);
+  for (const { from, to } of renamed) console.error(`  renamed  ${rel(from)} → ${rel(to)}`);
+  for (const f of deleted) console.error(`  deleted  ${rel(f)}`);
+  console.error('');
+}
+/* --explain: imports that did not resolve -------------------------------- */
+const specLabel = spec => typeof spec === 'string' ? spec : `${spec.value} (${spec.type})`;
+
+if (opts.explain) {
+  const { unresolved } = result;
+  if (unresolved.length === 0) {
+    console.error(`\n✅ Every import resolved\n`);
+  } else {
+    const fileCount = new Set(unresolved.map(u => u.file)).size;
+    console.error(`\n🔍 ${unresolved.length} unresolved import${unresolved.length === 1 ? '' : 's'} ` +
+      `in ${fileCount} file${fileCount === 1 ? '' : 's'}:`);
+
+    const byPlugin = new Map();
+    for (const u of unresolved) {
+      if (!byPlugin.has(u.plugin)) byPlugin.set(u.plugin, new Map());
+      const byFile = byPlugin.get(u.plugin);
+      if (!byFile.has(u.file)) byFile.set(u.file, []);
+      byFile.get(u.file).push(u);
     }
-    if (existsSync(jsconfigPath)) {
-      return { path: jsconfigPath, type: 'jsconfig' };
+    for (const [plugin, byFile] of [...byPlugin].sort(([a], [b]) => a.localeCompare(b))) {
+      console.error(`  ${plugin}`);
+      for (const [file, entries] of [...byFile].sort(([a], [b]) => a.localeCompare(b))) {
+        console.error(`    ${rel(file)}`);
+        for (const { spec, reason } of entries) console.error(`      ${specLabel(spec).padEnd(40)} ${reason}`);
+      }
     }
-    
-    const parent = dirname(currentDir);
-    if (parent === currentDir) break; // Reached filesystem root
-    currentDir = parent;
+
+    const counts = {};
+    for (const { reason } of unresolved) counts[reason] = (counts[reason] || 0) + 1;
+    const summary = [
+      counts['external package'] && `${counts['external package']} external package${counts['external package'] === 1 ? '' : 's'}`,
+      counts.stdlib && `${counts.stdlib} stdlib`,
+      counts['alias miss'] && `${counts['alias miss']} alias miss${counts['alias miss'] === 1 ? '' : 'es'}`,
+      counts['not found'] && `${counts['not found']} not found`
+    ].filter(Boolean);
+    console.error(`  (${summary.join(', ')})\n`);
   }
-  
-  return null;
 }
 
-let aliasConfig = null;
-let configBasePath = projectRoot;
+/* --why: how a file got into the bundle ---------------------------------- */
+if (opts.why) {
+  const target = resolve(opts.why);
+  const chain = importChain(result, target);
+  if (!chain) {
+    console.error(existsSync(target)
+      ? `❌ ${rel(target)} is not in the bundle: no input imports it${opts.depth !== undefined ? ` within --depth ${opts.depth}` : ''}, ` +
+        `or it is excluded (--explain lists imports that did not resolve)`
+      : `❌ --why: no such file ${opts.why}`);
+    process.exit(1);
+  }
 
-// If we have specific input files, find config relative to them
-if (INPUTS.length > 0 && INPUTS[0] !== projectRoot) {
-  const inputFile = INPUTS[0];
-  if (existsSync(inputFile) && statSync(inputFile).isFile()) {
-    const config = findNearestConfig(inputFile, projectRoot);
-    if (config) {
-      configBasePath = dirname(config.path);
-      try {
-        const content = readFileSync(config.path, 'utf8');
-        aliasConfig = parseConfigFile(content);
-        if (!opts.quiet) console.error(`[scanex] Loaded ${config.type}.json from ${relative(projectRoot, config.path)} for path aliases`);
-      } catch (e) {
-        if (!opts.quiet) console.error(`Error parsing ${config.type}.json: ${e.message}`);
-      }
+  console.error(`\n🔗 Why ${rel(target)} is in the bundle:`);
+  chain.forEach(({ file, edge }, i) => {
+    const indent = '  ' + '   '.repeat(Math.max(0, i - 1));
+    if (!edge) {
+      console.error(`${indent}${rel(file)}  (input)`);
+    } else if (edge.to === file) {
+      console.error(`${indent}└─ ${specLabel(edge.spec)} → ${rel(file)}  (${edge.resolver})`);
+    } else {
+      console.error(`${indent}└─ imported by ${rel(file)} as ${specLabel(edge.spec)}  (${edge.resolver})`);
     }
-  }
+  });
+  console.error('');
+  process.exit(0);
 }
 
-// Fallback: look in project root
-if (!aliasConfig) {
-  const tsconfigPath = join(projectRoot, 'tsconfig.json');
-  const jsconfigPath = join(projectRoot, 'jsconfig.json');
+/* --cycles / --fail-on-cycles: import cycles ----------------------------- */
+// A cycle is identified by its files: one that gains a file counts as new
+if (opts.cycles || opts.failOnCycles) {
+  const cycles = findCycles(result);
+  const cycleKey = relFiles => [...relFiles].sort().join('\n');
 
-  if (existsSync(tsconfigPath)) {
-    try {
-      const content = readFileSync(tsconfigPath, 'utf8');
-      aliasConfig = parseConfigFile(content);
-      if (!opts.quiet) console.error(`[scanex] Loaded tsconfig.json for path aliases`);
-    } catch (e) {
-      if (!opts.quiet) console.error(`Error parsing tsconfig.json: ${e.message}`);
-    }
-  } else if (existsSync(jsconfigPath)) {
+  let known = null;
+  if (typeof opts.failOnCycles === 'string') {
     try {
-      const content = readFileSync(jsconfigPath, 'utf8');
-      aliasConfig = parseConfigFile(content);
-      if (!opts.quiet) console.error(`[scanex] Loaded jsconfig.json for path aliases`);
+      const baseline = JSON.parse(readFileSync(opts.failOnCycles, 'utf8'));
+      known = new Set(baseline.cycles.map(c => cycleKey(c.files)));
     } catch (e) {
-      if (!opts.quiet) console.error(`Error parsing jsconfig.json: ${e.message}`);
+      console.error(`❌ Could not read the cycles baseline ${opts.failOnCycles}: ${e.message}`);
+      process.exit(1);
     }
   }
-}
-
-/* helper function to get proper extension including composite ones -------- */
-function getFileExtension(filepath, allExtensions) {
-  // Handle Dockerfiles first (special case with no traditional extension)
-  const fileName = filepath.split('/').pop();
-  if (fileName === 'Dockerfile' || fileName.startsWith('Dockerfile.')) {
-    if (allExtensions.includes('Dockerfile')) {
-      return 'Dockerfile';
-    }
-  }
-  
-  // Check for composite extensions (like .html.erb)
-  for (const ext of allExtensions) {
-    if (filepath.endsWith(ext)) {
-      return ext;
-    }
+  const isNew = cycle => !known || !known.has(cycleKey(cycle.files.map(rel)));
+  const fresh = cycles.filter(isNew);
+
+  let report;
+  if (cycles.length === 0) {
+    report = '✅ No import cycles\n';
+  } else {
+    report = `🔁 ${cycles.length} import cycle${cycles.length === 1 ? '' : 's'}` +
+      `${known ? ` (${fresh.length} new since ${opts.failOnCycles})` : ''}:\n`;
+    cycles.forEach((cycle, i) => {
+      const mark = known && isNew(cycle) ? '  (new)' : '';
+      report += `\n  ${i + 1}. ${cycle.files.length} file${cycle.files.length === 1 ? '' : 's'}${mark}\n`;
+      for (const { from, to, spec } of cycle.edges) {
+        report += `       ${`${rel(from)} → ${rel(to)}`.padEnd(50)} ${specLabel(spec)}\n`;
+      }
+    });
   }
-  // Fallback to standard extname for simple extensions
-  return extname(filepath);
-}
-
-/* seed queue ------------------------------------------------------------- */
-const queue = [];
-for (const p of INPUTS) queue.push(...walk(p, IGNORE, projectRoot));
-
-const visited = new Set(queue.filter(f => ALL_EXT.includes(getFileExtension(f, ALL_EXT))));
-
-/* BFS over imports ------------------------------------------------------- */
-// Skip dependency scanning if --no-deps flag is set
-if (opts.deps !== false) {
-  for (let i = 0; i < queue.length; i++) {
-    const file = queue[i];
-    const scanner = scanners.get(getFileExtension(file, ALL_EXT));
-    if (!scanner) continue;
-
-    const src = readFileSync(file, 'utf8');
-    for (const spec of scanner.scan(src, { file })) {
-      let target = null;
-
-      // Handle both string specs (JavaScript) and object specs (Ruby)
-      const specValue = typeof spec === 'string' ? spec : spec.value;
 
-      /* relative ('./foo') */
-      if (specValue.startsWith('.')) {
-        const base = resolve(dirname(file), specValue);
-        target = ALL_EXT.map(e => base.endsWith(e) ? base : base + e)
-                        .find(existsSync);
-      }
+  // The list is what --cycles outputs, so like --graph it is written even
+  // with --quiet; otherwise (JSON, --fail-on-cycles) it goes to stderr
+  if (opts.cycles && opts.format !== 'json') {
+    writeOutput({ content: report, count: cycles.length, unit: 'cycles', graph: true });
+  } else if (!opts.quiet) {
+    console.error(`\n${report}`);
+  }
 
-      /* plug-in custom resolver */
-      if (!target) {
-        for (const r of resolvers) {
-          const resolved = r.resolve?.(spec, { projectRoot, aliasConfig, configBasePath, file });
-          if (resolved) {
-            target = resolved;
-            break;
-          }
-        }
-      }
+  if (opts.format === 'json') {
+    const content = JSON.stringify({
+      projectRoot,
+      cycles: cycles.map(({ files, edges }) => ({
+        files: files.map(rel),
+        edges: edges.map(({ from, to, spec, resolver }) => ({ from: rel(from), to: rel(to), spec, resolver }))
+      }))
+    }, null, 2) + '\n';
+    writeOutput({ content, count: cycles.length, unit: 'cycles', graph: true });
+  }
 
-      if (target && !IGNORE.test(target) && !visited.has(target)) {
-        // Safety check: ensure target is a file, not a directory
-        try {
-          const stat = statSync(target);
-          if (stat.isFile()) {
-            visited.add(target);
-            queue.push(target);
-            if (!opts.quiet) log('⊕', relative(projectRoot, target));
-          } else if (stat.isDirectory()) {
-            if (!opts.quiet) console.warn(`⚠️  Skipping directory: ${relative(projectRoot, target)}`);
-          }
-        } catch (e) {
-          // File doesn't exist or can't be accessed
-          if (!opts.quiet) console.warn(`⚠️  Skipping invalid path: ${relative(projectRoot, target)} (${e.message})`);
-        }
-      }
-    }
+  if (opts.failOnCycles && fresh.length > 0) {
+    console.error(`❌ ${fresh.length} ${known ? 'new ' : ''}import cycle${fresh.length === 1 ? '' : 's'} found (--fail-on-cycles)`);
+    process.exit(1);
   }
+  process.exit(0);
 }
 
 /* --dry-run: preview files without processing ---------------------------- */
 if (opts.dryRun) {
-  const sortedFiles = [...visited].sort();
   if (!opts.quiet) {
-    console.error(`\n📋 Files that would be scanned (${sortedFiles.length}):\n`);
-    sortedFiles.forEach(f => console.error(`  ${relative(projectRoot, f)}`));
+    console.error(`\n📋 Files that would be scanned (${files.length}):\n`);
+    files.forEach(f => {
+      let origin = '(input)';
+      if (f.parent) {
+        origin = `(depth ${f.depth}, via ${rel(f.parent)})`;
+      } else if (f.dependentOf) {
+        origin = `(dependent, depth ${f.depth}, imports ${rel(f.dependentOf)})`;
+      }
+      console.error(`  ${f.relPath.padEnd(50)} ${origin}`);
+    });
   }
   process.exit(0);
 }
 
 /* --stats: show statistics ----------------------------------------------- */
 if (opts.stats) {
-  const sortedFiles = [...visited].sort();
   const extCounts = {};
+  const depthCounts = {};
   let totalSize = 0;
 
-  sortedFiles.forEach(f => {
-    const ext = getFileExtension(f, ALL_EXT);
-    extCounts[ext] = (extCounts[ext] || 0) + 1;
+  files.forEach(f => {
+    extCounts[f.ext] = (extCounts[f.ext] || 0) + 1;
+    depthCounts[f.depth] = (depthCounts[f.depth] || 0) + 1;
     try {
-      totalSize += statSync(f).size;
+      totalSize += statSync(f.path).size;
     } catch (e) {}
   });
 
   if (!opts.quiet) {
     console.error(`\n📊 Codebase Statistics:\n`);
-    console.error(`  Total files: ${sortedFiles.length}`);
+    console.error(`  Total files: ${files.length}`);
     console.error(`  Total size: ${(totalSize / 1024).toFixed(2)} KB\n`);
     console.error(`  Languages:`);
     Object.entries(extCounts)
@@ -450,24 +613,264 @@ if (opts.stats) {
       .forEach(([ext, count]) => {
         console.error(`    ${ext.padEnd(15)} ${count} file${count > 1 ? 's' : ''}`);
       });
+    console.error(`\n  Depth from inputs:`);
+    Object.entries(depthCounts)
+      .sort((a, b) => a[0] - b[0])
+      .forEach(([depth, count]) => {
+        const label = depth === '0' ? '0 (inputs)' : depth;
+        console.error(`    ${label.padEnd(15)} ${count} file${count > 1 ? 's' : ''}`);
+      });
     console.error('');
   }
   process.exit(0);
 }
 
-/* build nice directory tree --------------------------------------------- */
-const treeStr = opts.tree !== false ? makeTree([...visited].map(f => relative(projectRoot, f))) : '';
+/* build the output -------------------------------------------------------- */
+// Everything from here on runs again for every rebuild in --watch mode.
+// Returns the text to write; errors are thrown.
+async function build(result) {
+  const { files } = result;
+  const seeds = new Set(files.filter(f => f.seed).map(f => f.path));
+  const depths = new Map(files.map(f => [f.path, f.depth]));
+
+  /* --graph: render the import graph ------------------------------------- */
+  if (opts.graph) {
+    const graph = opts.graph === 'dot' ? toDot(result) : toMermaid(result);
+    return { content: graph, count: files.length, unit: 'nodes', graph: true };
+  }
+
+  /* --diff / --diff-only: collect per-file diffs ------------------------- */
+  let diffs = new Map();
+  const diffOnly = Boolean(opts.diffOnly);
+
+  if (opts.diff || opts.diffOnly) {
+    const repoRoot = findRepositoryRoot(projectRoot);
+    if (!repoRoot) {
+      throw new Error(`--diff needs a git repository, none found above ${projectRoot}`);
+    }
+    diffs = collectDiffs(repoRoot, files.map(f => f.path), {
+      since: opts.since, staged: opts.staged, context: opts.diffContext
+    });
+    if (!opts.quiet) log('diff', `${diffs.size} changed file${diffs.size === 1 ? '' : 's'} with diffs`);
+  }
+
+  /* binary, minified and oversized files --------------------------------- */
+  // Assets are listed as references instead of being inlined
+  const { references, oversized } = classifyFiles(files.map(f => f.path), { maxFileSize });
+  const textFiles = files.map(f => f.path).filter(f => !references.has(f));
+
+  if (references.size > 0 && !opts.quiet) {
+    log('refs', `${references.size} binary or minified file${references.size === 1 ? '' : 's'} listed as references`);
+  }
+
+  /* redact secrets ------------------------------------------------------- */
+  // Runs before the token budget so estimates are made on the final text
+  let contents = new Map();
+  let redactions = [];
+
+  if (opts.redact !== false || opts.failOnSecrets) {
+    const redactor = createRedactor({ patterns: opts.redactPattern || [] });
+    const redacted = redactFiles(textFiles, redactor, { diffs });
+    redactions = redacted.findings;
+    if (opts.redact !== false) {
+      contents = redacted.contents;
+      diffs = new Map([...diffs, ...redacted.diffs]);
+    }
+
+    if (redactions.length > 0 && (!opts.quiet || opts.failOnSecrets)) {
+      const fileCount = new Set(redactions.map(r => r.file)).size;
+      const verb = opts.redact !== false ? 'Redacted' : 'Found';
+      console.error(`\n🔒 ${verb} ${redactions.length} secret${redactions.length === 1 ? '' : 's'} in ${fileCount} file${fileCount === 1 ? '' : 's'}:`);
+      for (const { file, line, detector, diff } of redactions) {
+        console.error(`    ${`${rel(file)}:${line}${diff ? ' (diff)' : ''}`.padEnd(40)} ${detector}`);
+      }
+      console.error('');
+    }
+    if (opts.failOnSecrets && redactions.length > 0) {
+      throw new Error('Secrets found; no output written (--fail-on-secrets)');
+    }
+  }
+
+  /* --slice: keep only the declarations importers use ------------------- */
+  let sliced = new Set();
+
+  if (opts.slice) {
+    const slices = await sliceFiles(result, {
+      contents, plugins: opts.plugins, disablePlugins: opts.disablePlugins
+    });
+    for (const [f, text] of slices) contents.set(f, text);
+    sliced = new Set(slices.keys());
+    if (!opts.quiet) log('slice', `${sliced.size} file${sliced.size === 1 ? '' : 's'} cut down to the declarations in use`);
+  }
+
+  /* --outline: collapse function bodies of distant files ----------------- */
+  // Seeds are never outlined
+  let outlined = new Set();
+  const outlineDepth = opts.outlineDepth ?? (opts.outline ? 1 : undefined);
+
+  if (outlineDepth !== undefined) {
+    const candidates = textFiles.filter(f => !seeds.has(f) && depths.get(f) >= outlineDepth);
+    const outlines = await outlineFiles(candidates, {
+      contents, plugins: opts.plugins, disablePlugins: opts.disablePlugins
+    });
+    for (const [f, text] of outlines) contents.set(f, text);
+    outlined = new Set(outlines.keys());
+    if (!opts.quiet) log('outline', `${outlined.size} file${outlined.size === 1 ? '' : 's'} outlined (depth ${outlineDepth}+)`);
+  }
+
+  // Truncation comes after redaction so a secret can't be cut in half, and
+  // only sees what slicing and outlining left
+  for (const f of [...sliced, ...outlined]) {
+    if (oversized.has(f) && Buffer.byteLength(contents.get(f)) <= maxFileSize) oversized.delete(f);
+  }
+  for (const f of oversized) {
+    contents.set(f, truncateText(contents.get(f) ?? readFileSync(f, 'utf8'), maxFileSize));
+    if (!opts.quiet) log('✂', `${rel(f)} truncated to ${formatSize(maxFileSize)} (was ${formatSize(statSync(f).size)})`);
+  }
+
+  /* --max-tokens: trim to fit the budget --------------------------------- */
+  let treeStr = result.tree;
+  let outputFiles = textFiles;
+  let collapsed = new Map();
+
+  if (opts.maxTokens) {
+    // The tree, header and references, for the files that are left; in JSON
+    // the edges between them instead of the tree
+    const treeOf = kept => makeTree([...kept, ...references.keys()].sort().map(f => relative(projectRoot, f)));
+    const overhead = kept => {
+      if (opts.format !== 'json') {
+        return estimateTokens(bundle([], projectRoot, treeOf(kept), opts.tree !== false, { references }));
+      }
+      const skeleton = bundleJson({ ...result, files: files.filter(f => references.has(f.path)), edges: [] },
+        { references, redactions: opts.redact !== false ? redactions : undefined });
+      const edges = jsonEdges(result.edges, projectRoot, new Set([...kept, ...references.keys()]));
+      return estimateTokens(skeleton) + estimateTokens(JSON.stringify(edges, null, 2));
+    };
+    const fit = fitToBudget(outputFiles, {
+      root: projectRoot, seeds, depths, maxTokens: opts.maxTokens, overhead, format: opts.format,
+      render: { diffs, diffOnly, contents, sliced, outlined, truncated: oversized }
+    });
+    outputFiles = fit.files;
+    collapsed = fit.collapsed;
+    if (fit.dropped.length > 0) treeStr = treeOf(outputFiles);
+
+    if (!opts.quiet) {
+      console.error(`\n✂️  Token budget: ~${fit.tokens} of ${opts.maxTokens} tokens (estimated)`);
+      if (collapsed.size > 0) {
+        console.error(`  Collapsed (${collapsed.size}):`);
+        for (const [f, tokens] of collapsed) {
+          console.error(`    ${rel(f)} (depth ${depths.get(f)}, ~${tokens} tokens)`);
+        }
+      }
+      if (fit.dropped.length > 0) {
+        console.error(`  Dropped (${fit.dropped.length}):`);
+        for (const { file, tokens } of fit.dropped) {
+          console.error(`    ${rel(file)} (depth ${depths.get(file)}, ~${tokens} tokens)`);
+        }
+      }
+      if (collapsed.size === 0 && fit.dropped.length === 0) {
+        console.error(`  Nothing was cut`);
+      }
+      console.error('');
+    }
+    if (!fit.fits) {
+      console.warn(`⚠️  Seed files alone exceed --max-tokens ${opts.maxTokens}; they were kept in full`);
+    }
+  }
+
+  /* render the bundle ---------------------------------------------------- */
+  let bundledContent;
+  if (opts.format === 'json') {
+    const kept = new Set([...outputFiles, ...references.keys()]);
+    bundledContent = bundleJson({ ...result, files: files.filter(f => kept.has(f.path)) }, {
+      collapsed, diffs, contents, references, truncated: oversized, sliced, outlined,
+      redactions: opts.redact !== false ? redactions : undefined
+    });
+  } else {
+    bundledContent = bundle(outputFiles, projectRoot, treeStr, opts.tree !== false,
+      { collapsed, diffs, diffOnly, contents, sliced, outlined, references });
+  }
+  return { content: bundledContent, count: outputFiles.length, unit: 'files' };
+}
 
 /* write output ----------------------------------------------------------- */
-const bundledContent = bundle([...visited].sort(), projectRoot, treeStr, opts.tree !== false);
+function writeOutput({ content, count, unit, graph }) {
+  if (opts.output) {
+    // Write to specified file
+    writeFileSync(opts.output, content);
+    if (!opts.quiet) console.error(`✅ wrote ${relative('.', opts.output)} (${count} ${unit})`);
+  } else if (graph) {
+    process.stdout.write(content);
+  } else {
+    // Default: write to stdout
+    console.log(content);
+    // Success info goes to stderr so it doesn't interfere with piping
+    if (!opts.quiet) console.error(`✅ processed ${count} files`);
+  }
+}
 
-if (opts.output) {
-  // Write to specified file
-  writeFileSync(opts.output, bundledContent);
-  if (!opts.quiet) console.error(`✅ wrote ${relative('.', opts.output)} (${visited.size} files)`);
-} else {
-  // Default: write to stdout
-  console.log(bundledContent);
-  // Success info goes to stderr so it doesn't interfere with piping
-  if (!opts.quiet) console.error(`✅ processed ${visited.size} files`);
+let output;
+try {
+  output = await build(result);
+} catch (e) {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+}
+writeOutput(output);
+
+/* --watch: rebuild as files change --------------------------------------- */
+// Watches the directories of every bundled file and the input directories.
+// Only changed files are parsed again (the scan cache keeps the rest), but
+// the whole closure is recomputed, so new imports are picked up and files
+// nothing imports any more are dropped.
+if (opts.watch) {
+  const outputPath = resolve(opts.output);
+  const inputDirs = INPUTS.filter(p => statSync(p).isDirectory());
+  const inInputs = p => inputDirs.some(d => p.startsWith(d + sep));
+  const newDirs = new Set();
+  let lastContent = output.content;
+
+  const watchedDirs = () => [
+    ...new Set([...inputDirs, ...newDirs, ...result.files.map(f => dirname(f.path))])
+  ].filter(existsSync);
+
+  const watcher = createWatcher({
+    debounce: WATCH_DEBOUNCE_MS,
+    onError: e => console.error(`❌ ${e.message}`),
+    onChange: async events => {
+      const before = new Set(result.files.map(f => f.path));
+      // Created or removed entries may change what imports resolve to
+      const relevant = events.filter(({ path, type }) =>
+        path !== outputPath && (before.has(path) || type === 'rename' || inInputs(path)));
+      if (relevant.length === 0) return;
+
+      for (const { path } of relevant) {
+        scanOptions.cache.delete(path);
+        if (inInputs(path) && existsSync(path) && statSync(path).isDirectory()) newDirs.add(path);
+      }
+      result = await scan({ ...scanOptions, quiet: true });
+      const after = new Set(result.files.map(f => f.path));
+
+      const added = [...after].filter(f => !before.has(f));
+      const removed = [...before].filter(f => !after.has(f));
+      const edited = relevant.map(e => e.path).filter(f => before.has(f) && after.has(f));
+      console.error(`\n🔄 Rebuilt: ${after.size} file${after.size === 1 ? '' : 's'} ` +
+        `(${edited.length} changed, ${added.length} added, ${removed.length} removed)`);
+      for (const f of edited) console.error(`  ~ ${rel(f)}`);
+      for (const f of added) console.error(`  + ${rel(f)}`);
+      for (const f of removed) console.error(`  - ${rel(f)}`);
+
+      const next = await build(result);
+      if (next.content === lastContent) {
+        console.error(`  Output unchanged`);
+      } else {
+        writeOutput(next);
+        lastContent = next.content;
+      }
+      watcher.update(watchedDirs());
+    }
+  });
+
+  watcher.update(watchedDirs());
+  console.error(`\n👀 Watching ${watcher.size} director${watcher.size === 1 ? 'y' : 'ies'} for changes (Ctrl+C to stop)`);
 }
@@ -0,0 +1,91 @@
+// lib/budget.js
+import { relative } from 'node:path';
+
+import { renderFile, renderStub, jsonFile } from './core.js';
+
+/* offline token estimate ------------------------------------------------- */
+// Approximates BPE tokenizers without shipping a vocabulary: words split
+// into ~4-character pieces, numbers into ~3 digits, every symbol counts once
+// and runs of whitespace (indentation) are mostly merged away.
+export function estimateTokens(text) {
+  let tokens = 0;
+  for (const [piece] of text.matchAll(/[A-Za-z]+|\d+|\s+|[^\sA-Za-z\d]/g)) {
+    const c = piece.charCodeAt(0);
+    if (c >= 48 && c <= 57) {
+      tokens += Math.ceil(piece.length / 3);
+    } else if (/\s/.test(piece[0])) {
+      if (piece.length > 1) tokens += Math.ceil(piece.length / 8);
+    } else if (/[A-Za-z]/.test(piece[0])) {
+      tokens += Math.ceil(piece.length / 4);
+    } else {
+      tokens += 1;
+    }
+  }
+  return tokens;
+}
+
+/* fit files into a token budget ------------------------------------------ */
+// Seeds are always kept in full. Other files are collapsed to header-only
+// stubs farthest-first (largest first within the same hop distance), and if
+// that is still not enough the stubs are dropped in the same order.
+// Files are measured as `format` ('markdown' or 'json') renders them, with
+// the renderFile()/jsonFile() options of the real output in `render`.
+// `overhead` is what the bundle costs besides its files (tree, references):
+// a number, or a function of the files kept, called again as files are
+// dropped because the tree only lists what is left.
+export function fitToBudget(files, { root, seeds, depths, maxTokens, overhead = 0, render = {}, format = 'markdown' }) {
+  const measure = typeof overhead === 'function' ? overhead : () => overhead;
+  const cost = new Map();
+  const stubCost = new Map();
+  let fileTotal = 0;
+
+  // scan() result files as bundleJson() gets them
+  const entry = f => ({ path: f, relPath: relative(root, f), depth: depths.get(f) ?? 0, seed: seeds.has(f) });
+  const json = value => JSON.stringify(value, null, 2);
+
+  for (const f of files) {
+    const tokens = estimateTokens(format === 'json'
+      ? json(jsonFile(entry(f), render))
+      : renderFile(f, root, render));
+    cost.set(f, tokens);
+    stubCost.set(f, estimateTokens(format === 'json'
+      ? json(jsonFile(entry(f), { collapsed: new Set([f]) }))
+      : renderStub(f, root, tokens)));
+    fileTotal += tokens;
+  }
+
+  const candidates = files
+    .filter(f => !seeds.has(f))
+    .sort((a, b) =>
+      (depths.get(b) ?? 0) - (depths.get(a) ?? 0) ||
+      cost.get(b) - cost.get(a) ||
+      a.localeCompare(b));
+
+  let extra = measure(files);
+  const collapsed = new Map();
+  for (const f of candidates) {
+    if (fileTotal + extra <= maxTokens) break;
+    if (cost.get(f) <= stubCost.get(f)) continue;
+    fileTotal -= cost.get(f) - stubCost.get(f);
+    collapsed.set(f, cost.get(f));
+  }
+
+  const droppedSet = new Set();
+  const kept = () => files.filter(f => !droppedSet.has(f));
+  for (const f of candidates) {
+    if (fileTotal + extra <= maxTokens) break;
+    fileTotal -= collapsed.has(f) ? stubCost.get(f) : cost.get(f);
+    collapsed.delete(f);
+    droppedSet.add(f);
+    extra = measure(kept());
+  }
+
+  const dropped = candidates.filter(f => droppedSet.has(f));
+  return {
+    files: kept(),
+    collapsed,
+    dropped: dropped.map(f => ({ file: f, tokens: cost.get(f) })),
+    tokens: fileTotal + extra,
+    fits: fileTotal + extra <= maxTokens
+  };
+}
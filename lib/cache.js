@@ -0,0 +1,107 @@
+// lib/cache.js
+import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'node:fs';
+import { join, relative, resolve, sep } from 'node:path';
+import { homedir } from 'node:os';
+import { createHash } from 'node:crypto';
+
+// Bump when the cache file layout changes
+const CACHE_FORMAT = 3;
+
+export const hash = data => createHash('sha1').update(data).digest('hex');
+
+/* where the cache lives ---------------------------------------------------- */
+// node_modules/.cache/scanex when the project has node_modules (the usual
+// place for tool caches, and already ignored), otherwise a per-project
+// directory under $XDG_CACHE_HOME so nothing is added to the working tree.
+export function defaultCacheDir(projectRoot) {
+  const nodeModules = join(projectRoot, 'node_modules');
+  if (existsSync(nodeModules)) return join(nodeModules, '.cache', 'scanex');
+  const base = process.env.XDG_CACHE_HOME || join(homedir(), '.cache');
+  return join(base, 'scanex', hash(resolve(projectRoot)).slice(0, 16));
+}
+
+/* scan cache --------------------------------------------------------------- */
+// One JSON file per project with, for every file:
+//   hash      sha1 of its contents
+//   plugin    fingerprint of the plug-in that scanned it
+//   specs     the specs the plug-in extracted
+//   resolved  spec -> [target, resolver] for the specs that resolved
+//
+// Specs are reused while the content hash and plug-in fingerprint match.
+// Resolutions also depend on `resolverKey` (path aliases, search dirs,
+// plug-in config files, the set of plug-ins, the project's directories):
+// when it changes they are all dropped. Unresolved specs are never cached,
+// so a file created later is found.
+export function openScanCache(dir, { projectRoot, resolverKey }) {
+  const path = join(dir, 'scan-cache.json');
+  let data = null;
+  try {
+    data = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (e) {
+    // Missing or unreadable: start over
+  }
+  if (!data || data.format !== CACHE_FORMAT) data = { format: CACHE_FORMAT, files: {} };
+  if (data.resolverKey !== resolverKey) {
+    for (const entry of Object.values(data.files)) entry.resolved = {};
+    data.resolverKey = resolverKey;
+  }
+
+  const stats = { hits: 0, misses: 0 };
+  const seen = new Set();
+  let dirty = false;
+
+  // Paths are stored relative to the project so a moved checkout still hits
+  const key = file => relative(projectRoot, file).split(sep).join('/');
+  const specKey = spec => typeof spec === 'string' ? spec : JSON.stringify(spec);
+
+  function getSpecs(file, contentHash, plugin) {
+    const entry = data.files[key(file)];
+    seen.add(key(file));
+    if (entry && entry.hash === contentHash && entry.plugin === plugin) {
+      stats.hits++;
+      return entry.specs;
+    }
+    stats.misses++;
+    return null;
+  }
+
+  function setSpecs(file, contentHash, plugin, specs) {
+    data.files[key(file)] = { hash: contentHash, plugin, specs, resolved: {} };
+    dirty = true;
+  }
+
+  function getResolution(file, spec) {
+    const hit = data.files[key(file)]?.resolved[specKey(spec)];
+    if (!hit) return null;
+    const target = resolve(projectRoot, hit[0]);
+    return existsSync(target) ? { target, resolver: hit[1] } : null;
+  }
+
+  function setResolution(file, spec, { target, resolver }) {
+    const entry = data.files[key(file)];
+    if (!entry) return;
+    entry.resolved[specKey(spec)] = [relative(projectRoot, target).split(sep).join('/'), resolver];
+    dirty = true;
+  }
+
+  // Written atomically; entries for files that no longer exist are pruned
+  function save() {
+    for (const name of Object.keys(data.files)) {
+      if (!seen.has(name) && !existsSync(join(projectRoot, name))) {
+        delete data.files[name];
+        dirty = true;
+      }
+    }
+    if (!dirty) return;
+    try {
+      mkdirSync(dir, { recursive: true });
+      const tmp = `${path}.${process.pid}.tmp`;
+      writeFileSync(tmp, JSON.stringify(data));
+      renameSync(tmp, path);
+    } catch (e) {
+      console.warn(`⚠️  Could not write the scan cache to ${dir}: ${e.message}`);
+    }
+  }
+
+  return { getSpecs, setSpecs, getResolution, setResolution, save, stats };
+}
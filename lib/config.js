@@ -0,0 +1,108 @@
+// lib/config.js
+import { readFileSync, existsSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { parseConfigFile } from './project.js';
+
+// Looked up in this order at the project root; the first one found wins
+export const CONFIG_FILES = ['.scanexrc', '.scanexrc.json', 'scanex.config.js', 'scanex.config.mjs'];
+
+/* load the project config ------------------------------------------------ */
+// `.scanexrc` files are JSON (comments and trailing commas allowed);
+// `scanex.config.js` is an ES module whose default export is the config.
+// Returns { path, config }, with both null when there is no config file.
+export async function loadConfig(projectRoot, explicitPath) {
+  let path = explicitPath ? resolve(explicitPath) : null;
+  if (path && !existsSync(path)) {
+    throw new Error(`Config file not found: ${path}`);
+  }
+  if (!path) {
+    path = CONFIG_FILES.map(f => join(projectRoot, f)).find(existsSync) || null;
+  }
+  if (!path) return { path: null, config: null };
+
+  let config;
+  if (/\.m?js$/.test(path)) {
+    try {
+      config = (await import(pathToFileURL(path).href)).default;
+    } catch (e) {
+      throw new Error(`Could not load ${path}: ${e.message}`);
+    }
+  } else {
+    config = parseConfigFile(readFileSync(path, 'utf8'), () => {});
+    if (config === null) throw new Error(`Could not parse ${path}`);
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error(`${path} must contain a config object`);
+  }
+  return { path, config };
+}
+
+/* apply a named profile -------------------------------------------------- */
+// Profile values override the top-level ones; `profiles` itself is dropped.
+export function resolveProfile(config, profile) {
+  const { profiles = {}, ...base } = config || {};
+  if (!profile) return base;
+  if (!Object.prototype.hasOwnProperty.call(profiles, profile)) {
+    const known = Object.keys(profiles);
+    throw new Error(`Unknown profile "${profile}"` +
+      (known.length ? ` (available: ${known.join(', ')})` : ' (the config defines no profiles)'));
+  }
+  return { ...base, ...profiles[profile] };
+}
+
+/* per-plugin resolver search directories --------------------------------- */
+// `searchDirs` is either an array applied to every plugin or an object keyed
+// by plugin name, where the key '*' applies to every plugin.
+export function searchDirsFor(searchDirs, plugin) {
+  if (!searchDirs) return [];
+  if (Array.isArray(searchDirs)) return searchDirs;
+  return [...(searchDirs['*'] || []), ...(searchDirs[plugin] || [])];
+}
+
+/* config values through the CLI option parsers --------------------------- */
+const isScalar = v => typeof v === 'string' || (typeof v === 'number' && Number.isFinite(v));
+
+// The value a config setting gives `option` (a commander Option), as if it
+// had been passed on the command line: strings and numbers go through the
+// option's own parser, so `"depth": "2"` and `"depth": 2` both become 2.
+// `repeatable` options (--exclude) take a string or a list of them, `list`
+// options (--plugins) a comma-separated string or a list. Throws when the
+// value has the wrong type.
+export function configValue(option, value, { repeatable = false, list = false } = {}) {
+  const name = option.attributeName();
+  const takesValue = option.required || option.optional;
+
+  if (!takesValue || (option.optional && typeof value === 'boolean')) {
+    if (typeof value !== 'boolean') {
+      throw new Error(`"${name}" must be true or false${option.optional ? ', or a string' : ''}`);
+    }
+    return value;
+  }
+  if (repeatable) {
+    const values = [].concat(value);
+    if (!values.every(isScalar)) throw new Error(`"${name}" must be a string or a list of strings`);
+    return values.map(String);
+  }
+  if (list && Array.isArray(value) && value.every(v => typeof v === 'string')) {
+    value = value.join(',');
+  }
+  if (!isScalar(value)) {
+    throw new Error(`"${name}" must be ${list ? 'a comma-separated string or a list of strings' : 'a string or a number'}`);
+  }
+  return option.parseArg ? option.parseArg(String(value), undefined) : String(value);
+}
+
+// `searchDirs`: a list of directories, or an object of such lists keyed by
+// plugin name (see searchDirsFor())
+export function checkSearchDirs(searchDirs) {
+  const isList = v => Array.isArray(v) && v.every(d => typeof d === 'string');
+  const valid = isList(searchDirs) ||
+    (searchDirs && typeof searchDirs === 'object' && Object.values(searchDirs).every(isList));
+  if (!valid) {
+    throw new Error('"searchDirs" must be a list of directories, or an object of such lists keyed by plugin name');
+  }
+  return searchDirs;
+}
@@ -0,0 +1,128 @@
+// lib/content.js
+import { openSync, readSync, closeSync, statSync } from 'node:fs';
+import { basename, extname } from 'node:path';
+
+/* assets known by extension ---------------------------------------------- */
+// Never inlined, even when they happen to be text (SVG)
+const ASSET_KINDS = {
+  image: ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.bmp', '.ico', '.svg', '.tif', '.tiff'],
+  font: ['.woff', '.woff2', '.ttf', '.otf', '.eot'],
+  media: ['.mp3', '.mp4', '.wav', '.ogg', '.webm', '.mov', '.avi', '.flac'],
+  archive: ['.zip', '.gz', '.tgz', '.bz2', '.xz', '.7z', '.rar', '.tar', '.jar'],
+  document: ['.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx']
+};
+const ASSET_EXT = new Map(Object.entries(ASSET_KINDS).flatMap(([kind, exts]) => exts.map(e => [e, kind])));
+
+/* sizes -------------------------------------------------------------------- */
+// '100kb', '1.5mb', '2048' (bytes)
+export function parseSize(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(b|k|kb|m|mb)?$/i);
+  if (!match) return NaN;
+  const unit = { b: 1, k: 1024, kb: 1024, m: 1024 * 1024, mb: 1024 * 1024 }[(match[2] || 'b').toLowerCase()];
+  return Math.round(parseFloat(match[1]) * unit);
+}
+
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/* content sniffing --------------------------------------------------------- */
+// Only the start of a file is read to classify it, however large it is
+const SNIFF_BYTES = 64 * 1024;
+
+function readHead(path, bytes = SNIFF_BYTES) {
+  const buffer = Buffer.alloc(bytes);
+  const fd = openSync(path, 'r');
+  try {
+    return buffer.subarray(0, readSync(fd, buffer, 0, bytes, 0));
+  } finally {
+    closeSync(fd);
+  }
+}
+
+// Like git: a NUL byte in the first 8000 bytes means binary. Text with a lot
+// of other control characters is treated the same way.
+function looksBinary(head) {
+  const length = Math.min(head.length, 8000);
+  let control = 0;
+  for (let i = 0; i < length; i++) {
+    const b = head[i];
+    if (b === 0) return true;
+    if (b < 32 && b !== 9 && b !== 10 && b !== 13 && b !== 12 && b !== 27) control++;
+  }
+  return length > 0 && control / length > 0.1;
+}
+
+// Bundled or minified code: a `.min.` name, or long text on very long lines
+export function looksMinified(text, file = '') {
+  if (/\.min\.[a-z]+$/i.test(basename(file))) return true;
+  if (text.length < 2048) return false;
+  let longest = 0;
+  let lines = 0;
+  for (let start = 0; start <= text.length; lines++) {
+    const end = text.indexOf('\n', start);
+    const stop = end === -1 ? text.length : end;
+    if (stop - start > longest) longest = stop - start;
+    start = stop + 1;
+  }
+  return longest >= 2000 || text.length / lines >= 500;
+}
+
+/* classify files for the bundle ------------------------------------------ */
+// Returns the files to list as references instead of inlining, mapped to
+// { reason, size }, and the set of text files larger than `maxFileSize`
+// (bytes; 0 or undefined for no limit) that should be truncated.
+export function classifyFiles(files, { maxFileSize } = {}) {
+  const references = new Map();
+  const oversized = new Set();
+
+  for (const file of files) {
+    let size;
+    try {
+      size = statSync(file).size;
+    } catch (e) {
+      continue;
+    }
+    const kind = ASSET_EXT.get(extname(file).toLowerCase());
+    if (kind) {
+      references.set(file, { reason: kind, size });
+      continue;
+    }
+    const head = readHead(file);
+    if (looksBinary(head)) {
+      references.set(file, { reason: 'binary', size });
+    } else if (looksMinified(head.toString('utf8'), file)) {
+      references.set(file, { reason: 'minified', size });
+    } else if (maxFileSize && size > maxFileSize) {
+      oversized.add(file);
+    }
+  }
+  return { references, oversized };
+}
+
+/* head/tail truncation ----------------------------------------------------- */
+// Keeps whole lines from the start and the end, about half the budget each,
+// with a marker saying what was cut in between.
+export function truncateText(text, maxBytes) {
+  if (Buffer.byteLength(text) <= maxBytes) return text;
+  const lines = text.split('\n');
+  const half = maxBytes / 2;
+
+  let headBytes = 0;
+  let head = 0;
+  while (head < lines.length && headBytes + Buffer.byteLength(lines[head]) + 1 <= half) {
+    headBytes += Buffer.byteLength(lines[head++]) + 1;
+  }
+  let tailBytes = 0;
+  let tail = lines.length;
+  while (tail > head && tailBytes + Buffer.byteLength(lines[tail - 1]) + 1 <= half) {
+    tailBytes += Buffer.byteLength(lines[--tail]) + 1;
+  }
+
+  const omitted = lines.slice(head, tail);
+  const omittedBytes = Buffer.byteLength(omitted.join('\n'));
+  const marker = `[... ${omitted.length} line${omitted.length === 1 ? '' : 's'} (${formatSize(omittedBytes)}) truncated ...]`;
+  return [...lines.slice(0, head), marker, ...lines.slice(tail)].join('\n');
+}
@@ -1,115 +1,74 @@
 // lib/core.js
 import { readFileSync, statSync, readdirSync, existsSync } from 'node:fs';
 import { join, resolve, extname, dirname, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
 import chalk from 'chalk';
 
+import { createIgnoreMatcher } from './gitignore.js';
+import { createPathFilter } from './filters.js';
+import { formatSize } from './content.js';
+import { hash } from './cache.js';
+
 /* small coloured logger -------------------------------------------------- */
 export const log = (...args) => console.error(chalk.gray('[scanex]'), ...args);
 
+// Bundled language plug-ins
+export const PLUGIN_DIR = join(dirname(fileURLToPath(import.meta.url)), 'lang');
+
 /* async plug-in loader ---------------------------------------------------- */
-export async function loadPlugins(dir, quiet = false) {
-  const scanners = new Map(), resolvers = [], exts = [];
-  for (const f of readdirSync(dir)) {
+// `only` and `disable` are lists of plug-in names to keep or skip.
+// `fingerprints` maps each plug-in name to a hash of its source, which the
+// scan cache uses as the plug-in's version.
+export async function loadPlugins(dir, quiet = false, { only, disable = [] } = {}) {
+  const scanners = new Map(), resolvers = [], exts = [], fingerprints = new Map();
+  for (const f of readdirSync(dir).sort()) {
     if (!f.endsWith('.js')) continue;
     const plug = await import(join(dir, f));
+    if (only && !only.includes(plug.name)) continue;
+    if (disable.includes(plug.name)) continue;
     plug.exts.forEach(e => scanners.set(e, plug));
     if (plug.resolve) resolvers.push(plug);
+    fingerprints.set(plug.name, hash(readFileSync(join(dir, f))));
     exts.push(...plug.exts);
     if (!quiet) log('plugin', plug.name, 'ready');
   }
-  return { scanners, resolvers, ALL_EXT: exts };
+  // Extensionless relative imports ('./foo') try ALL_EXT in order: the
+  // JavaScript/TypeScript extensions, the ones such imports leave out, lead
+  const first = exts.filter(e => scanners.get(e).name === 'javascript');
+  return { scanners, resolvers, ALL_EXT: [...first, ...exts.filter(e => !first.includes(e))], fingerprints };
 }
 
-/* recursive walk, honouring IGNORE --------------------------------------- */
-export function walk(start, IGNORE, projectRoot) {
+/* recursive walk, honouring the path filter and ignore files ------------ */
+// Explicitly named files are always returned; directory contents are checked
+// against the path filter (see filters.js; a plain RegExp of paths to
+// exclude also works) and the gitignore rules that apply to them. Files
+// found inside directories must also pass the filter's include patterns.
+export function walk(start, filter, projectRoot, { quiet = false } = {}) {
   const files = [];
-  
-  function parseGitignoreInDir(dirPath) {
-    const gitignorePath = join(dirPath, '.gitignore');
-    if (!existsSync(gitignorePath)) return [];
-    
-    try {
-      const content = readFileSync(gitignorePath, 'utf8');
-      const patterns = content.split('\n')
-        .map(line => line.trim())
-        .filter(line => line && !line.startsWith('#') && !line.startsWith('!'));
-      
-      if (patterns.length > 0) {
-        const relativeDir = relative(projectRoot, dirPath).replace(/\\/g, '/');
-        log(`Loading ${patterns.length} patterns from ${relativeDir}/.gitignore`);
-      }
-      
-      const relativeDir = relative(projectRoot, dirPath).replace(/\\/g, '/');
-      
-      return patterns.map(pattern => {
-        let originalPattern = pattern;
-        let isDir = pattern.endsWith('/');
-        if (isDir) pattern = pattern.slice(0, -1);
-        
-        let rooted = pattern.startsWith('/');
-        if (rooted) pattern = pattern.slice(1);
-        
-        // Handle wildcards BEFORE escaping other special characters
-        let re = pattern;
-        re = re.replace(/\*\*/g, '___DOUBLESTAR___'); // Temporarily replace **
-        re = re.replace(/\*/g, '___STAR___'); // Temporarily replace *
-        
-        // Now escape regex special characters
-        re = re.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
-        
-        // Restore wildcards with proper regex
-        re = re.replace(/___DOUBLESTAR___/g, '.*'); // ** matches anything including /
-        re = re.replace(/___STAR___/g, '[^/]*'); // * matches anything except /
-        
-        let regexString;
-        if (rooted) {
-          // Pattern is relative to the .gitignore's directory
-          regexString = relativeDir ? `${relativeDir}/${re}` : re;
-        } else {
-          // Pattern can match anywhere under the .gitignore's directory
-          if (relativeDir) {
-            regexString = `${relativeDir}/(.*/)?(${re})`;
-          } else {
-            regexString = `(.*/)?(${re})`;
-          }
-        }
-        
-        if (isDir) {
-          return {
-            pattern: new RegExp(`^${regexString}(/.*)?$`),
-            original: originalPattern,
-            dir: relativeDir
-          };
-        }
-        return {
-          pattern: new RegExp(`^${regexString}$`),
-          original: originalPattern,
-          dir: relativeDir
-        };
-      });
-    } catch (e) {
-      console.warn(`Warning: Could not read ${gitignorePath}: ${e.message}`);
-      return [];
-    }
+  if (filter instanceof RegExp || typeof filter === 'string') {
+    filter = createPathFilter(projectRoot, { exclude: [filter], quiet });
   }
-  
-  function isIgnored(path, gitignorePatterns) {
-    const relativePath = relative(projectRoot, path).replace(/\\/g, '/');
-    
-    // Check global IGNORE pattern
-    if (IGNORE.test(relativePath)) return true;
-    
-    // Check local gitignore patterns
-    for (const patternObj of gitignorePatterns) {
-      if (patternObj.pattern.test(relativePath)) {
-        return true;
-      }
+  const matcher = createIgnoreMatcher(projectRoot, {
+    quiet,
+    onLoad: (count, path) => {
+      const shown = path.startsWith(projectRoot) ? relative(projectRoot, path) : path;
+      log(`Loading ${count} patterns from ${shown}`);
     }
-    
-    return false;
+  });
+
+  function isIgnored(path, isDir) {
+    const relativePath = relative(projectRoot, path).replace(/\\/g, '/');
+
+    // Git's own directory is never part of the working tree
+    if (relativePath === '.git' || relativePath.endsWith('/.git')) return true;
+
+    // User patterns and .scanexignore files
+    if (filter.excludesEntry(path, isDir)) return true;
+
+    return matcher.ignoresEntry(path, isDir);
   }
-  
-  (function dive(p, parentGitignorePatterns = []) {
+
+  (function dive(p) {
     let st;
     try {
       st = statSync(p);
@@ -123,34 +82,58 @@ export function walk(start, IGNORE, projectRoot) {
         return;
       }
     }
-    
-    if (st.isFile()) { 
-      files.push(p); 
-      return; 
+
+    if (st.isFile()) {
+      files.push(p);
+      return;
     }
-    
+
     if (st.isDirectory()) {
-      // Parse .gitignore in current directory
-      const localPatterns = parseGitignoreInDir(p);
-      const allPatterns = [...parentGitignorePatterns, ...localPatterns];
-      
       try {
-        for (const c of readdirSync(p)) {
-          const n = join(p, c);
-          
-          if (!isIgnored(n, allPatterns)) {
-            dive(n, allPatterns);
+        for (const c of readdirSync(p, { withFileTypes: true })) {
+          const n = join(p, c.name);
+          let isDir = c.isDirectory();
+          if (c.isSymbolicLink()) {
+            try {
+              isDir = statSync(n).isDirectory();
+            } catch (e) {
+              isDir = false;
+            }
           }
+
+          if (isIgnored(n, isDir)) continue;
+          if (!isDir && !filter.includes(n)) continue;
+          dive(n);
         }
       } catch (e) {
         console.warn(`⚠️  Warning: Could not read directory ${p}: ${e.message}`);
       }
     }
   })(start);
-  
+
   return files;
 }
 
+/* extension lookup, including composite ones ---------------------------- */
+export function getFileExtension(filepath, allExtensions) {
+  // Handle Dockerfiles first (special case with no traditional extension)
+  const fileName = filepath.split('/').pop();
+  if (fileName === 'Dockerfile' || fileName.startsWith('Dockerfile.')) {
+    if (allExtensions.includes('Dockerfile')) {
+      return 'Dockerfile';
+    }
+  }
+
+  // Check for composite extensions (like .html.erb)
+  for (const ext of allExtensions) {
+    if (filepath.endsWith(ext)) {
+      return ext;
+    }
+  }
+  // Fallback to standard extname for simple extensions
+  return extname(filepath);
+}
+
 /* turn ["a/b.js","a/c/d.rb"] into a proper ASCII tree ------------------ */
 export function makeTree(relPaths) {
   const root = { name: '.', children: new Map() };
@@ -184,61 +167,182 @@ export function makeTree(relPaths) {
   return `.\n${generateTree(root).trim()}`;
 }
 
-/* final Markdown bundler -------------------------------------------------- */
-export function bundle(files, root, treeStr, includeTree = true) {
-  const langMap = {
-    '.rb': 'ruby',
-    '.html.erb': 'erb',
-    '.html': 'html',
-    '.htm': 'html',
-    '.yml': 'yaml',
-    '.yaml': 'yaml',
-    '.txt': 'text',
-    '.sh': 'shell',
-    '.bash': 'bash',
-    '.zsh': 'shell',
-    '.fish': 'shell',
-    '.ksh': 'shell',
-    '.csh': 'shell',
-    'Dockerfile': 'dockerfile',
-    '.dockerfile': 'dockerfile',
-    '.ts': 'typescript',
-    '.tsx': 'tsx',
-    '.jsx': 'jsx',
-    '.js': 'javascript',
-    '.mjs': 'javascript',
-    '.cjs': 'javascript',
-    '.json': 'json',
-    '.md': 'markdown',
-    '.py': 'python',
-  };
+/* language tag for a file's fenced code block --------------------------- */
+const LANG_MAP = {
+  '.rb': 'ruby',
+  '.html.erb': 'erb',
+  '.html': 'html',
+  '.htm': 'html',
+  '.yml': 'yaml',
+  '.yaml': 'yaml',
+  '.txt': 'text',
+  '.sh': 'shell',
+  '.bash': 'bash',
+  '.zsh': 'shell',
+  '.fish': 'shell',
+  '.ksh': 'shell',
+  '.csh': 'shell',
+  'Dockerfile': 'dockerfile',
+  '.dockerfile': 'dockerfile',
+  '.ts': 'typescript',
+  '.tsx': 'tsx',
+  '.jsx': 'jsx',
+  '.js': 'javascript',
+  '.mjs': 'javascript',
+  '.cjs': 'javascript',
+  '.json': 'json',
+  '.md': 'markdown',
+  '.py': 'python',
+  '.c': 'c',
+  '.h': 'c',
+  '.cc': 'cpp',
+  '.cpp': 'cpp',
+  '.cxx': 'cpp',
+  '.hh': 'cpp',
+  '.hpp': 'cpp',
+  '.hxx': 'cpp',
+  '.java': 'java',
+  '.kt': 'kotlin',
+  '.php': 'php',
+  '.rs': 'rust',
+  '.go': 'go',
+};
+
+export function langFor(f) {
+  let fileExt = extname(f);
+
+  // Handle composite extensions like .html.erb
+  if (fileExt === '.erb' && f.endsWith('.html.erb')) {
+    fileExt = '.html.erb';
+  } else if (fileExt === '.yaml' && f.endsWith('.yml')) {
+    fileExt = '.yml';
+  }
+
+  // Handle Dockerfiles (which often don't have traditional extensions)
+  const fileName = f.split('/').pop();
+  if (fileName === 'Dockerfile' || fileName.startsWith('Dockerfile.')) {
+    fileExt = 'Dockerfile';
+  }
+
+  return LANG_MAP[fileExt] || fileExt.slice(1);
+}
+
+/* one file as a Markdown section ----------------------------------------- */
+// A file with an entry in `diffs` gets a fenced diff after its contents, or
+// in place of them with `diffOnly`. `contents` overrides what is read from
+// disk (redacted text, for instance); files in `sliced` and `outlined` are
+// marked as such in their header.
+export function renderFile(f, root, {
+  diffs = new Map(), diffOnly = false, contents = new Map(), sliced = new Set(), outlined = new Set()
+} = {}) {
+  const rel = f.slice(root.length + 1);
+  const diff = diffs.get(f);
+
+  if (diff && diffOnly) {
+    return `#### \`${rel}\` (diff)\n\`\`\`diff\n${diff}\n\`\`\`\n\n`;
+  }
+
+  const notes = [sliced.has(f) && 'slice', outlined.has(f) && 'outline'].filter(Boolean);
+  let out = `#### \`${rel}\`${notes.length > 0 ? ` (${notes.join(', ')})` : ''}\n\`\`\`${langFor(f)}\n` +
+    (contents.get(f) ?? readFileSync(f, 'utf8')).trimEnd() + '\n```\n';
+  if (diff) out += `\n\`\`\`diff\n${diff}\n\`\`\`\n`;
+  return out + '\n';
+}
+
+// Header-only placeholder for a file cut to fit a token budget
+export function renderStub(f, root, tokens) {
+  const rel = f.slice(root.length + 1);
+  return `#### \`${rel}\` (collapsed)\n_~${tokens} tokens omitted to fit the token budget_\n\n`;
+}
 
+// Files that are listed instead of inlined (images, binaries, minified code)
+export function renderReferences(references, root) {
+  if (references.size === 0) return '';
+  let out = '<references>\n';
+  for (const [f, { reason, size }] of references) {
+    out += `- \`${f.slice(root.length + 1)}\` (${reason}, ${formatSize(size)})\n`;
+  }
+  return out + '</references>\n';
+}
+
+/* final Markdown bundler -------------------------------------------------- */
+// `collapsed` maps files that should only appear as stubs to their token cost;
+// `diffs`, `diffOnly`, `contents`, `sliced` and `outlined` are passed
+// through to renderFile(); `references` maps files to list, not inline, to
+// { reason, size }
+export function bundle(files, root, treeStr, includeTree = true,
+                       { collapsed = new Map(), diffs, diffOnly, contents, sliced, outlined, references = new Map() } = {}) {
   let out = '';
   if (includeTree && treeStr) {
     out = '<directory_tree>\n' + treeStr + '\n</directory_tree>\n\n';
   }
   out += '<codebase>\n\n';
   for (const f of files) {
-    const rel = f.slice(root.length + 1);
-    let fileExt = extname(f);
-    
-    // Handle composite extensions like .html.erb
-    if (fileExt === '.erb' && f.endsWith('.html.erb')) {
-      fileExt = '.html.erb';
-    } else if (fileExt === '.yaml' && f.endsWith('.yml')) {
-      fileExt = '.yml';
-    }
-    
-    // Handle Dockerfiles (which often don't have traditional extensions)
-    const fileName = f.split('/').pop();
-    if (fileName === 'Dockerfile' || fileName.startsWith('Dockerfile.')) {
-      fileExt = 'Dockerfile';
-    }
-    
-    const lang = langMap[fileExt] || fileExt.slice(1);
-    out += `#### \`${rel}\`\n\`\`\`${lang}\n`;
-    out += readFileSync(f, 'utf8').trimEnd() + '\n```\n\n';
+    out += collapsed.has(f)
+      ? renderStub(f, root, collapsed.get(f))
+      : renderFile(f, root, { diffs, diffOnly, contents, sliced, outlined });
   }
   out += '</codebase>\n';
+  if (references.size > 0) out += '\n' + renderReferences(references, root);
   return out;
 }
+
+/* JSON bundler ------------------------------------------------------------ */
+// Machine-readable counterpart of bundle(), built from a scan() result.
+// Collapsed files keep their entry but carry no contents; changed files
+// carry their `diff` when diffs were collected. `contents` overrides what is
+// read from disk, and `redactions` lists the secrets that were masked.
+// Files in `references` are listed with the reason they were `skipped`, and
+// files in `truncated`, `sliced` and `outlined` are marked as such.
+export function bundleJson({ projectRoot, inputs, files, edges, unresolved, warnings },
+                           { redactions, ...render } = {}) {
+  const rel = f => relative(projectRoot, f);
+  const kept = new Set(files.map(f => f.path));
+
+  return JSON.stringify({
+    projectRoot,
+    inputs: inputs.map(rel),
+    files: files.map(f => jsonFile(f, render)),
+    edges: jsonEdges(edges, projectRoot, kept),
+    unresolved: unresolved.map(u => ({ file: rel(u.file), spec: u.spec, plugin: u.plugin, reason: u.reason })),
+    ...(redactions && {
+      redactions: redactions.map(r => ({ file: rel(r.file), line: r.line, detector: r.detector, ...(r.diff && { diff: true }) }))
+    }),
+    warnings
+  }, null, 2) + '\n';
+}
+
+// One file's entry in bundleJson(); `f` is a scan() result file
+export function jsonFile(f, { collapsed = new Map(), diffs = new Map(), contents = new Map(),
+                              references = new Map(), truncated = new Set(), sliced = new Set(),
+                              outlined = new Set() } = {}) {
+  const entry = {
+    path: f.relPath,
+    language: langFor(f.path),
+    size: statSync(f.path).size,
+    depth: f.depth,
+    seed: f.seed
+  };
+  if (references.has(f.path)) {
+    entry.skipped = references.get(f.path).reason;
+    entry.contents = null;
+  } else if (collapsed.has(f.path)) {
+    entry.collapsed = true;
+    entry.contents = null;
+  } else {
+    entry.contents = contents.get(f.path) ?? readFileSync(f.path, 'utf8');
+    if (sliced.has(f.path)) entry.slice = true;
+    if (outlined.has(f.path)) entry.outline = true;
+    if (truncated.has(f.path)) entry.truncated = true;
+  }
+  if (diffs.has(f.path)) entry.diff = diffs.get(f.path);
+  return entry;
+}
+
+// The import edges of bundleJson() between files in `kept`
+export function jsonEdges(edges, projectRoot, kept) {
+  const rel = f => relative(projectRoot, f);
+  return edges
+    .filter(e => kept.has(e.from) && kept.has(e.to))
+    .map(e => ({ from: rel(e.from), to: rel(e.to), spec: e.spec, resolver: e.resolver }));
+}
@@ -0,0 +1,125 @@
+// lib/filters.js
+import { join, relative, sep } from 'node:path';
+
+import { parseIgnoreFile, createIgnoreMatcher } from './gitignore.js';
+
+/* pattern kinds ---------------------------------------------------------- */
+// `--include` and `--exclude` take gitignore-style globs. Older configs pass
+// regular expressions, which are recognised by syntax globs never use
+// (alternation, anchors, groups, `+` and backslash escapes) and are tested
+// against the whole project-relative path like before. So are plain words
+// without any glob syntax (`*`, `?`, `[`, a `/` or a leading `!`):
+// `--exclude test` has always dropped every path containing "test", in any
+// case, and still does. Their dots are literal: `--exclude .env` drops
+// `.env.local` but not `xenv`.
+export function isRegexPattern(pattern) {
+  return pattern instanceof RegExp || /[|^$()+\\]/.test(pattern) || isPlainWord(pattern);
+}
+
+const isPlainWord = pattern => !/^!|[|^$()+\\*?[\/]/.test(pattern);
+const escapeRegex = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// One ordered rule list; a leading `!` on a glob flips it. The last matching
+// rule decides, exactly like in a .gitignore.
+function compilePatterns(patterns, projectRoot) {
+  const rules = [];
+  for (const pattern of [].concat(patterns ?? [])) {
+    if (pattern === '' || pattern === null || pattern === undefined) continue;
+    if (isRegexPattern(pattern)) {
+      const regex = pattern instanceof RegExp ? pattern
+        : new RegExp(isPlainWord(pattern) ? escapeRegex(pattern) : pattern, 'i');
+      rules.push({ regex, negate: false, dirOnly: false, legacy: true });
+    } else {
+      rules.push(...parseIgnoreFile(String(pattern), projectRoot, pattern));
+    }
+  }
+  return rules;
+}
+
+// Regex rules see the absolute path of files outside the project (`abs`),
+// like they always did; globs see the `../`-relative path
+function lastMatch(rules, rel, isDir, abs = rel) {
+  for (let i = rules.length - 1; i >= 0; i--) {
+    const rule = rules[i];
+    if (rule.dirOnly && !isDir) continue;
+    if (rule.regex.test(rule.legacy ? abs : rel)) return rule;
+  }
+  return null;
+}
+
+// Project-relative ancestors of a path, outermost first: a/b/c.js gives
+// ['a', 'a/b']
+function ancestorsOf(rel) {
+  const parts = rel.split('/');
+  return parts.slice(0, -1).map((_, i) => parts.slice(0, i + 1).join('/'));
+}
+
+/* path filter ------------------------------------------------------------ */
+// Combines the user's exclude and include patterns with the .scanexignore
+// files of the project, so the directory walk and files reached through
+// imports, importers or git are filtered the same way.
+//
+//   excludesEntry(path, isDir)  one walk entry, its parents already checked
+//   excludes(path)              full check, including excluded parents
+//   includes(path)              the file matches the include patterns
+//   accepts(path)               not excluded and included
+export function createPathFilter(projectRoot, { exclude, include, quiet = true, onLoad } = {}) {
+  const excludeRules = compilePatterns(exclude, projectRoot);
+  const includeRules = compilePatterns(include, projectRoot);
+  // Only `!pattern` includes: everything else is kept
+  const includeByDefault = !includeRules.some(r => !r.negate);
+  const scanexignore = createIgnoreMatcher(projectRoot, {
+    quiet, onLoad, fileName: '.scanexignore', repoFiles: false
+  });
+
+  const relPath = path => relative(projectRoot, path).split(sep).join('/');
+  const outside = rel => !rel || rel.startsWith('..');
+  // What regex rules are tested against: see lastMatch()
+  const absFor = (rel, path) => outside(rel) ? path.split(sep).join('/') : rel;
+
+  function excludesEntry(path, isDir) {
+    const rel = relPath(path);
+    if (rel) {
+      const rule = lastMatch(excludeRules, rel, isDir, absFor(rel, path));
+      if (rule) return !rule.negate;
+    }
+    return scanexignore.ignoresEntry(path, isDir);
+  }
+
+  function excludes(path) {
+    const rel = relPath(path);
+    if (rel) {
+      // An excluded directory hides everything below it; for files outside
+      // the project that includes `../node_modules` and the like
+      for (const dir of ancestorsOf(rel)) {
+        if (dir.endsWith('..')) continue;
+        const rule = lastMatch(excludeRules, dir, true, absFor(rel, join(projectRoot, dir)));
+        if (rule && !rule.negate) return true;
+      }
+      const rule = lastMatch(excludeRules, rel, false, absFor(rel, path));
+      if (rule) return !rule.negate;
+    }
+    return scanexignore.ignores(path);
+  }
+
+  function includes(path) {
+    if (includeRules.length === 0) return true;
+    const rel = relPath(path);
+    if (outside(rel)) return includeByDefault;
+    const rule = lastMatch(includeRules, rel, false);
+    if (rule) return !rule.negate;
+    // `--include src/` keeps every file below src
+    for (const dir of ancestorsOf(rel).reverse()) {
+      const match = lastMatch(includeRules, dir, true);
+      if (match) return !match.negate;
+    }
+    return includeByDefault;
+  }
+
+  return {
+    excludesEntry,
+    excludes,
+    includes,
+    accepts: path => !excludes(path) && includes(path)
+  };
+}
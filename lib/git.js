@@ -0,0 +1,129 @@
+// lib/git.js
+import { execFileSync } from 'node:child_process';
+import { join, relative } from 'node:path';
+
+/* run git in a repository ------------------------------------------------ */
+// `okStatus` lists non-zero exit codes that still carry a valid result
+// (`git diff --no-index` exits with 1 when the files differ).
+export function git(repoRoot, args, { okStatus = [] } = {}) {
+  try {
+    return execFileSync('git', args, {
+      cwd: repoRoot,
+      encoding: 'utf8',
+      maxBuffer: 64 * 1024 * 1024,
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+  } catch (e) {
+    if (okStatus.includes(e.status) && typeof e.stdout === 'string') return e.stdout;
+    const detail = e.stderr?.toString().trim() || e.message;
+    throw new Error(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+// Parses `git diff --name-status -z` output into status entries. Renames and
+// copies carry two paths; everything else carries one.
+function parseNameStatus(out) {
+  const fields = out.split('\0').filter(Boolean);
+  const entries = [];
+  for (let i = 0; i < fields.length; i++) {
+    const status = fields[i];
+    if (status[0] === 'R' || status[0] === 'C') {
+      entries.push({ status: status[0], from: fields[i + 1], path: fields[i + 2] });
+      i += 2;
+    } else {
+      entries.push({ status: status[0], path: fields[i + 1] });
+      i += 1;
+    }
+  }
+  return entries;
+}
+
+/* files changed relative to a ref, or staged in the index ---------------- */
+// `since` compares the working tree against the merge base of the ref and
+// HEAD, so commits that landed on the ref after branching are not reported;
+// untracked files count as changes. `staged` only looks at the index.
+// Paths are returned absolute.
+export function changedFiles(repoRoot, { since, staged = false } = {}) {
+  let out;
+  if (staged) {
+    out = git(repoRoot, ['diff', '--cached', '--name-status', '-z', '-M']);
+  } else {
+    let base = since;
+    try {
+      base = git(repoRoot, ['merge-base', since, 'HEAD']).trim();
+    } catch (e) {
+      // Unrelated histories or no HEAD yet: diff against the ref itself
+      try {
+        git(repoRoot, ['rev-parse', '--verify', '--quiet', `${since}^{commit}`]);
+      } catch (e2) {
+        throw new Error(`Unknown git ref: ${since}`);
+      }
+    }
+    out = git(repoRoot, ['diff', '--name-status', '-z', '-M', base]);
+  }
+
+  const changed = [], deleted = [], renamed = [];
+  for (const { status, path, from } of parseNameStatus(out)) {
+    if (status === 'D') {
+      deleted.push(join(repoRoot, path));
+    } else {
+      if (status === 'R') renamed.push({ from: join(repoRoot, from), to: join(repoRoot, path) });
+      changed.push(join(repoRoot, path));
+    }
+  }
+
+  if (!staged) {
+    const untracked = git(repoRoot, ['ls-files', '--others', '--exclude-standard', '-z']);
+    for (const path of untracked.split('\0').filter(Boolean)) {
+      changed.push(join(repoRoot, path));
+    }
+  }
+
+  return { changed: [...new Set(changed)].sort(), deleted, renamed };
+}
+
+/* per-file unified diffs ------------------------------------------------- */
+// Diffs the working tree (or the index with `staged`) against `since`, or
+// against HEAD when no ref is given. Untracked files show up as all-added.
+// Returns a Map of absolute path -> diff text for files that changed; the
+// `diff --git` / `index` preamble is dropped, the ---/+++ lines are kept.
+export function collectDiffs(repoRoot, files, { since, staged = false, context = 3 } = {}) {
+  const { changed, renamed } = changedFiles(repoRoot, staged ? { staged } : { since: since || 'HEAD' });
+  const changedSet = new Set(changed);
+  const renamedFrom = new Map(renamed.map(({ from, to }) => [to, from]));
+  const untracked = staged ? new Set() : new Set(
+    git(repoRoot, ['ls-files', '--others', '--exclude-standard', '-z'])
+      .split('\0').filter(Boolean).map(p => join(repoRoot, p))
+  );
+
+  let base = null;
+  if (!staged) {
+    base = since || 'HEAD';
+    try {
+      base = git(repoRoot, ['merge-base', base, 'HEAD']).trim();
+    } catch (e) {
+      // Fall back to the ref itself, as changedFiles() does
+    }
+  }
+
+  const diffs = new Map();
+  for (const file of files) {
+    if (!changedSet.has(file)) continue;
+    const path = relative(repoRoot, file);
+    // -M can only pair a rename when both of its paths are in the diff
+    const paths = renamedFrom.has(file) ? [relative(repoRoot, renamedFrom.get(file)), path] : [path];
+    let out;
+    if (untracked.has(file)) {
+      out = git(repoRoot, ['diff', '--no-index', `-U${context}`, '--', '/dev/null', path], { okStatus: [1] });
+    } else if (staged) {
+      out = git(repoRoot, ['diff', '--cached', '-M', `-U${context}`, '--', ...paths]);
+    } else {
+      out = git(repoRoot, ['diff', '-M', `-U${context}`, base, '--', ...paths]);
+    }
+    // Pure renames and binary files have no ---/+++ section and are skipped
+    const lines = out.split('\n');
+    const start = lines.findIndex(line => line.startsWith('--- '));
+    if (start !== -1) diffs.set(file, lines.slice(start).join('\n').trimEnd());
+  }
+  return diffs;
+}
@@ -0,0 +1,259 @@
+// lib/gitignore.js
+import { readFileSync, existsSync, statSync } from 'node:fs';
+import { join, dirname, relative, resolve, isAbsolute, sep } from 'node:path';
+import { homedir } from 'node:os';
+import { execFileSync } from 'node:child_process';
+
+import { findRepositoryRoot } from './project.js';
+
+/* glob -> regex, following gitignore(5) ---------------------------------- */
+// `*` and `?` never match '/', `[...]` is a character class (`[!...]` or
+// `[^...]` negated), a backslash escapes the next character, and `**` is
+// special only as a whole path segment: leading `**/`, inner `/**/` and
+// trailing `/**`. Any other run of asterisks behaves like a single `*`.
+function globToRegex(glob) {
+  let re = '';
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+
+    if (c === '*') {
+      let j = i;
+      while (glob[j + 1] === '*') j++;
+      const segmentStart = i === 0 || glob[i - 1] === '/';
+      const doubled = j > i;
+      if (doubled && segmentStart && glob[j + 1] === '/') {
+        re += '(?:.*/)?';          // `**/` matches zero or more directories
+        i = j + 1;
+      } else if (doubled && segmentStart && j + 1 === glob.length) {
+        re += '.*';                // trailing `/**` matches everything inside
+        i = j;
+      } else {
+        re += '[^/]*';
+        i = j;
+      }
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '[') {
+      const cls = readClass(glob, i);
+      if (cls) {
+        re += cls.re;
+        i = cls.end;
+      } else {
+        re += '\\[';
+      }
+    } else if (c === '\\' && i + 1 < glob.length) {
+      re += escapeRegex(glob[++i]);
+    } else {
+      re += escapeRegex(c);
+    }
+  }
+  return re;
+}
+
+// Reads a bracket expression starting at glob[start] === '['. Returns null
+// when it is not terminated, in which case '[' is taken literally.
+function readClass(glob, start) {
+  let i = start + 1;
+  let negate = false;
+  if (glob[i] === '!' || glob[i] === '^') {
+    negate = true;
+    i++;
+  }
+
+  let body = '';
+  let first = true;
+  for (; i < glob.length; i++) {
+    const c = glob[i];
+    if (c === ']' && !first) {
+      // A class never matches the path separator
+      return { re: negate ? `[^/${body}]` : `[${body}]`, end: i };
+    }
+    if (c === '\\' && i + 1 < glob.length) {
+      body += '\\' + glob[++i];
+    } else if (c === '\\' || c === ']' || c === '^') {
+      body += '\\' + c;
+    } else {
+      body += c;
+    }
+    first = false;
+  }
+  return null;
+}
+
+const escapeRegex = c => c.replace(/[.+?^${}()|[\]\\*/]/g, '\\$&');
+
+/* parse one ignore file into rules --------------------------------------- */
+// `base` is the directory patterns are relative to: the .gitignore's own
+// directory, or the repository root for info/exclude and core.excludesFile.
+export function parseIgnoreFile(content, base, source) {
+  const rules = [];
+  for (let line of content.split(/\r?\n/)) {
+    // Trailing spaces are dropped unless escaped with a backslash
+    line = line.replace(/(?<!\\)\s+$/, '');
+    if (line.endsWith('\\ ')) line = line.slice(0, -2) + ' ';
+    if (!line || line.startsWith('#')) continue;
+
+    let negate = false;
+    if (line.startsWith('!')) {
+      negate = true;
+      line = line.slice(1);
+    } else if (line.startsWith('\\!') || line.startsWith('\\#')) {
+      line = line.slice(1);
+    }
+
+    let dirOnly = false;
+    if (line.endsWith('/') && !line.endsWith('\\/')) {
+      dirOnly = true;
+      line = line.replace(/\/+$/, '');
+    }
+    if (!line) continue;
+
+    // A slash at the start or in the middle anchors the pattern to `base`;
+    // otherwise it may match at any depth below it
+    const anchored = line.includes('/');
+    if (line.startsWith('/')) line = line.slice(1);
+
+    const body = globToRegex(line);
+    rules.push({
+      regex: new RegExp(anchored ? `^${body}$` : `^(?:.*/)?${body}$`),
+      negate,
+      dirOnly,
+      base,
+      source
+    });
+  }
+  return rules;
+}
+
+/* repository-wide ignore files ------------------------------------------- */
+// The git directory can be a `gitdir:` pointer file (worktrees, submodules);
+// worktrees keep info/exclude in the common directory.
+function gitDirOf(repoRoot) {
+  const dotGit = join(repoRoot, '.git');
+  let gitDir = dotGit;
+  try {
+    if (statSync(dotGit).isFile()) {
+      const match = readFileSync(dotGit, 'utf8').match(/^gitdir:\s*(.+)$/m);
+      if (!match) return null;
+      gitDir = resolve(repoRoot, match[1].trim());
+    }
+    const commonDir = join(gitDir, 'commondir');
+    if (existsSync(commonDir)) {
+      gitDir = resolve(gitDir, readFileSync(commonDir, 'utf8').trim());
+    }
+  } catch (e) {
+    return null;
+  }
+  return gitDir;
+}
+
+// core.excludesFile, defaulting to $XDG_CONFIG_HOME/git/ignore like git does
+function globalExcludesFile(repoRoot) {
+  let configured = '';
+  try {
+    configured = execFileSync('git', ['config', '--path', '--get', 'core.excludesFile'], {
+      cwd: repoRoot,
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+  } catch (e) {
+    // Unset (exit code 1) or git unavailable: fall back to the default
+  }
+  if (configured) {
+    if (configured.startsWith('~/')) configured = join(homedir(), configured.slice(2));
+    return isAbsolute(configured) ? configured : resolve(repoRoot, configured);
+  }
+  const xdg = process.env.XDG_CONFIG_HOME || join(homedir(), '.config');
+  return join(xdg, 'git', 'ignore');
+}
+
+function readRules(path, base, log) {
+  if (!existsSync(path)) return [];
+  try {
+    const rules = parseIgnoreFile(readFileSync(path, 'utf8'), base, path);
+    if (rules.length > 0) log?.(rules.length, path);
+    return rules;
+  } catch (e) {
+    console.warn(`Warning: Could not read ${path}: ${e.message}`);
+    return [];
+  }
+}
+
+/* matcher ------------------------------------------------------------------ */
+// Collects rules in increasing precedence: core.excludesFile, info/exclude,
+// then every .gitignore from the top directory down. The last matching rule
+// decides, so a deeper `!pattern` can re-include what a parent excluded.
+// Directory rules are loaded lazily and cached per directory.
+//
+// `fileName` swaps .gitignore for another per-directory file with the same
+// syntax (.scanexignore); `repoFiles: false` skips the repository-wide ones.
+//
+//   ignoresEntry(path, isDir)  checks one walk entry against the rules of its
+//                              ancestors (the caller did not descend into an
+//                              ignored parent)
+//   ignores(path)              full check, including ignored parent
+//                              directories, for paths found any other way
+export function createIgnoreMatcher(projectRoot, {
+  quiet = false, onLoad, fileName = '.gitignore', repoFiles = true
+} = {}) {
+  const repoRoot = findRepositoryRoot(projectRoot);
+  const top = repoRoot && projectRoot.startsWith(repoRoot) ? repoRoot : projectRoot;
+  const log = quiet ? null : onLoad;
+
+  let baseRules = [];
+  if (repoRoot && repoFiles) {
+    baseRules.push(...readRules(globalExcludesFile(repoRoot), repoRoot, log));
+    const gitDir = gitDirOf(repoRoot);
+    if (gitDir) baseRules.push(...readRules(join(gitDir, 'info', 'exclude'), repoRoot, log));
+  }
+
+  const cache = new Map();
+  function rulesFor(dir) {
+    if (cache.has(dir)) return cache.get(dir);
+    let rules;
+    if (dir === top || !dir.startsWith(top + sep)) {
+      rules = [...baseRules, ...readRules(join(top, fileName), top, log)];
+      cache.set(top, rules);
+      if (dir !== top) return rules;
+    } else {
+      rules = [...rulesFor(dirname(dir)), ...readRules(join(dir, fileName), dir, log)];
+    }
+    cache.set(dir, rules);
+    return rules;
+  }
+
+  function ignoresEntry(path, isDir) {
+    const rules = rulesFor(dirname(path));
+    for (let i = rules.length - 1; i >= 0; i--) {
+      const rule = rules[i];
+      if (rule.dirOnly && !isDir) continue;
+      const rel = relative(rule.base, path).split(sep).join('/');
+      if (!rel || rel.startsWith('..')) continue;
+      if (rule.regex.test(rel)) return !rule.negate;
+    }
+    return false;
+  }
+
+  function ignores(path) {
+    if (path === top || !path.startsWith(top + sep)) return false;
+    // Once a directory is excluded nothing below it can be re-included
+    const parts = relative(top, path).split(sep);
+    let current = top;
+    for (let i = 0; i < parts.length; i++) {
+      current = join(current, parts[i]);
+      const isDir = i < parts.length - 1 || isDirectory(current);
+      if (ignoresEntry(current, isDir)) return true;
+    }
+    return false;
+  }
+
+  return { ignoresEntry, ignores };
+}
+
+function isDirectory(path) {
+  try {
+    return statSync(path).isDirectory();
+  } catch (e) {
+    return false;
+  }
+}
@@ -0,0 +1,203 @@
+// lib/graph.js
+/* node colours per language plug-in -------------------------------------- */
+const PALETTE = {
+  javascript: ['#f7df1e', '#000000'],
+  python:     ['#3572a5', '#ffffff'],
+  ruby:       ['#cc342d', '#ffffff'],
+  erb:        ['#701516', '#ffffff'],
+  css:        ['#563d7c', '#ffffff'],
+  html:       ['#e34c26', '#ffffff'],
+  json:       ['#292929', '#ffffff'],
+  yaml:       ['#cb171e', '#ffffff'],
+  markdown:   ['#083fa1', '#ffffff'],
+  shell:      ['#89e051', '#000000'],
+  sql:        ['#e38c00', '#000000'],
+  dockerfile: ['#384d54', '#ffffff'],
+  txt:        ['#dddddd', '#000000'],
+  go:         ['#00add8', '#000000'],
+  rust:       ['#dea584', '#000000'],
+  java:       ['#b07219', '#ffffff'],
+  php:        ['#4f5d95', '#ffffff'],
+  c:          ['#555555', '#ffffff'],
+};
+const FALLBACK = ['#bbbbbb', '#000000'];
+
+const colours = plugin => PALETTE[plugin] || FALLBACK;
+
+// Stable node ids plus de-duplicated edges between files in the result
+function prepare({ files, edges }) {
+  const ids = new Map(files.map((f, i) => [f.path, `n${i}`]));
+  const seen = new Set();
+  const links = [];
+  for (const { from, to } of edges) {
+    const key = `${from}\0${to}`;
+    if (!ids.has(from) || !ids.has(to) || seen.has(key)) continue;
+    seen.add(key);
+    links.push([ids.get(from), ids.get(to)]);
+  }
+  return { ids, links };
+}
+
+/* Graphviz DOT ----------------------------------------------------------- */
+// Seed inputs get a double, bold border.
+export function toDot(result) {
+  const { ids, links } = prepare(result);
+  const quote = s => `"${String(s).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+  let out = 'digraph scanex {\n';
+  out += '  rankdir=LR;\n';
+  out += '  node [shape=box, style="rounded,filled", fontname="Helvetica"];\n\n';
+  for (const f of result.files) {
+    const [fill, font] = colours(f.plugin);
+    const attrs = [
+      `label=${quote(f.relPath)}`,
+      `fillcolor=${quote(fill)}`,
+      `fontcolor=${quote(font)}`,
+      `tooltip=${quote(f.plugin || 'unknown')}`
+    ];
+    if (f.seed) attrs.push('peripheries=2', 'penwidth=2');
+    out += `  ${ids.get(f.path)} [${attrs.join(', ')}];\n`;
+  }
+  out += '\n';
+  for (const [from, to] of links) out += `  ${from} -> ${to};\n`;
+  out += '}\n';
+  return out;
+}
+
+/* Mermaid flowchart ------------------------------------------------------ */
+// Seed inputs are drawn as stadium shapes; colours come from one classDef
+// per language plug-in.
+export function toMermaid(result) {
+  const { ids, links } = prepare(result);
+  const label = s => `"${s.replace(/"/g, '#quot;')}"`;
+
+  let out = 'flowchart LR\n';
+  for (const f of result.files) {
+    const id = ids.get(f.path);
+    out += f.seed ? `  ${id}([${label(f.relPath)}])\n` : `  ${id}[${label(f.relPath)}]\n`;
+  }
+  for (const [from, to] of links) out += `  ${from} --> ${to}\n`;
+
+  const byPlugin = new Map();
+  for (const f of result.files) {
+    const plugin = f.plugin || 'unknown';
+    if (!byPlugin.has(plugin)) byPlugin.set(plugin, []);
+    byPlugin.get(plugin).push(ids.get(f.path));
+  }
+  for (const [plugin, nodes] of byPlugin) {
+    const [fill, font] = colours(plugin);
+    out += `  classDef ${plugin} fill:${fill},color:${font},stroke:#333\n`;
+    out += `  class ${nodes.join(',')} ${plugin}\n`;
+  }
+  return out;
+}
+
+/* import chains ---------------------------------------------------------- */
+// How `file` got into the result, as the hops from a seed input to it:
+// [{ file, edge }], the seed first with a null edge. A dependency follows
+// the imports that first reached it (a shortest path); a file found with
+// --dependents follows what it imports, `edge.from` being the importer.
+// Returns null for files that are not in the result.
+export function importChain({ files, edges }, file) {
+  const byPath = new Map(files.map(f => [f.path, f]));
+  if (!byPath.has(file)) return null;
+
+  const chain = [];
+  let current = byPath.get(file);
+  while (!current.seed) {
+    const next = current.parent ?? current.dependentOf;
+    if (!next || chain.some(hop => hop.file === next)) break;
+    const edge = current.parent
+      ? edges.find(e => e.from === next && e.to === current.path)
+      : edges.find(e => e.from === current.path && e.to === next);
+    chain.unshift({ file: current.path, edge: edge ?? null });
+    current = byPath.get(next);
+  }
+  chain.unshift({ file: current.path, edge: null });
+  return chain;
+}
+
+/* import cycles ---------------------------------------------------------- */
+// Spec types that tie the files of one package or crate together (Go's
+// package clause, Rust's `mod foo;`) rather than import anything
+const MEMBERSHIP_SPECS = new Set(['go_package', 'rust_mod', 'c_source']);
+
+// Strongly connected components of the import graph (Tarjan's algorithm,
+// iterative so deep graphs can't overflow the stack). Every component of
+// more than one file, or a file importing itself, is a cycle:
+// [{ files, edges }], files sorted, edges being those inside the component.
+// Links between the files of one package or crate are left out.
+export function findCycles({ files, edges }) {
+  const paths = new Set(files.map(f => f.path));
+  const outgoing = new Map();
+  for (const edge of edges) {
+    if (!paths.has(edge.from) || !paths.has(edge.to)) continue;
+    if (MEMBERSHIP_SPECS.has(edge.spec.type)) continue;
+    if (!outgoing.has(edge.from)) outgoing.set(edge.from, []);
+    outgoing.get(edge.from).push(edge);
+  }
+
+  let counter = 0;
+  const index = new Map();
+  const low = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  const visit = node => {
+    index.set(node, counter);
+    low.set(node, counter++);
+    stack.push(node);
+    onStack.add(node);
+  };
+
+  for (const start of [...paths].sort()) {
+    if (index.has(start)) continue;
+    visit(start);
+    const work = [[start, 0]];
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const [node, i] = frame;
+      const edge = (outgoing.get(node) || [])[i];
+      if (edge) {
+        frame[1]++;
+        if (!index.has(edge.to)) {
+          visit(edge.to);
+          work.push([edge.to, 0]);
+        } else if (onStack.has(edge.to)) {
+          low.set(node, Math.min(low.get(node), index.get(edge.to)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1][0];
+        low.set(parent, Math.min(low.get(parent), low.get(node)));
+      }
+      if (low.get(node) === index.get(node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== node);
+        components.push(component);
+      }
+    }
+  }
+
+  return components
+    .filter(c => c.length > 1 || (outgoing.get(c[0]) || []).some(e => e.to === c[0]))
+    .map(component => {
+      const members = new Set(component);
+      const sorted = component.sort();
+      return {
+        files: sorted,
+        edges: sorted.flatMap(f => (outgoing.get(f) || [])
+          .filter(e => members.has(e.to))
+          .sort((a, b) => a.to.localeCompare(b.to)))
+      };
+    })
+    .sort((a, b) => a.files[0].localeCompare(b.files[0]));
+}
@@ -0,0 +1,13 @@
+// lib/index.js — public API
+export { scan } from './scan.js';
+export { bundle, bundleJson, makeTree, walk, loadPlugins } from './core.js';
+export { estimateTokens, fitToBudget } from './budget.js';
+export { toDot, toMermaid, importChain, findCycles } from './graph.js';
+export { changedFiles, collectDiffs } from './git.js';
+export { loadConfig, resolveProfile } from './config.js';
+export { createPathFilter } from './filters.js';
+export { createRedactor, redactFiles } from './redact.js';
+export { classifyFiles, truncateText } from './content.js';
+export { openScanCache, defaultCacheDir } from './cache.js';
+export { outlineFiles } from './outline.js';
+export { sliceFiles } from './slice.js';
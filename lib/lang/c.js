@@ -0,0 +1,171 @@
+import { join, dirname, basename, extname, resolve as pathResolve, sep } from 'node:path';
+import { existsSync, readFileSync, statSync } from 'node:fs';
+
+export const name = 'c';
+export const exts = ['.c', '.h', '.cc', '.cpp', '.cxx', '.hh', '.hpp', '.hxx'];
+
+// Include directories come from these (see the scan cache in scan.js)
+export const configFiles = ['compile_commands.json', 'build/compile_commands.json', 'CMakeLists.txt'];
+
+const HEADER_EXTS = ['.h', '.hh', '.hpp', '.hxx'];
+const SOURCE_EXTS = ['.c', '.cc', '.cpp', '.cxx'];
+
+// Blanks out comments, leaving string literals (which may contain `//` or
+// `/*`) alone; newlines are kept so line anchors still work
+const stripComments = src => src.replace(/"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|\/\/[^\n]*|\/\*[\s\S]*?\*\//g,
+  match => match[0] === '"' || match[0] === '\'' ? match : match.replace(/[^\n]/g, ' '));
+
+// Returns every `#include "..."` as { type: 'c_include', value: path };
+// system headers (`#include <...>`) are skipped. A header also gets
+// { type: 'c_source', value: stem }: the implementation file of the same
+// name, so bundling foo.h carries foo.c when `pairSources` is on.
+export function scan(src, { file }) {
+  if (!src || src.trim() === '') return [];
+
+  const results = [];
+  for (const [, path] of stripComments(src).matchAll(/^[ \t]*#[ \t]*include[ \t]*"([^"\n]+)"/gm)) {
+    results.push({ type: 'c_include', value: path });
+  }
+  if (HEADER_EXTS.includes(extname(file))) {
+    results.push({ type: 'c_source', value: basename(file, extname(file)) });
+  }
+
+  return results.filter((item, index, arr) =>
+    arr.findIndex(other => other.type === item.type && other.value === item.value) === index
+  );
+}
+
+/* include directories ------------------------------------------------------ */
+// Config files are reused while their mtime is unchanged
+const configs = new Map();
+function readConfig(path, parse = src => src) {
+  try {
+    const { mtimeMs } = statSync(path);
+    const hit = configs.get(path);
+    if (hit?.mtimeMs === mtimeMs) return hit.value;
+    const value = parse(readFileSync(path, 'utf8'));
+    configs.set(path, { mtimeMs, value });
+    return value;
+  } catch (e) {
+    return null;
+  }
+}
+
+const inside = (path, root) => path === root || path.startsWith(root + sep);
+
+// -I, -iquote and -isystem directories of one compile command
+function includeFlags(entry) {
+  const args = entry.arguments || entry.command?.match(/"(?:[^"\\]|\\.)*"|'[^']*'|\S+/g)?.map(a => a.replace(/^(["'])(.*)\1$/, '$2')) || [];
+  const dirs = [];
+  for (let i = 0; i < args.length; i++) {
+    const flag = args[i].match(/^(-I|-iquote|-isystem|\/I)(.*)$/);
+    if (!flag) continue;
+    const dir = flag[2] || args[++i];
+    if (dir) dirs.push(pathResolve(entry.directory || '', dir));
+  }
+  return dirs;
+}
+
+// From compile_commands.json at the project root or in build/: the flags of
+// the file's own entry, or every entry's when the file has none (headers)
+function compileCommandDirs(file, projectRoot) {
+  for (const dir of [projectRoot, join(projectRoot, 'build')]) {
+    const entries = readConfig(join(dir, 'compile_commands.json'), JSON.parse);
+    if (!Array.isArray(entries)) continue;
+    const own = entries.find(e => pathResolve(e.directory || '', e.file) === file);
+    return [...new Set((own ? [own] : entries).flatMap(includeFlags))];
+  }
+  return [];
+}
+
+// Arguments of every `command(...)` call in a CMakeLists.txt, with
+// ${CMAKE_CURRENT_SOURCE_DIR}-style variables expanded and
+// $<BUILD_INTERFACE:...> unwrapped
+function cmakeCalls(src, command, { dir, projectRoot }) {
+  const vars = {
+    CMAKE_CURRENT_SOURCE_DIR: dir, CMAKE_CURRENT_LIST_DIR: dir,
+    CMAKE_SOURCE_DIR: projectRoot, PROJECT_SOURCE_DIR: projectRoot
+  };
+  const code = src.replace(/#[^\n]*/g, '');
+  return [...code.matchAll(new RegExp(`\\b${command}\\s*\\(([^)]*)\\)`, 'gi'))].map(m =>
+    (m[1].match(/"[^"]*"|[^\s"]+/g) || [])
+      .map(arg => arg.replace(/^"|"$/g, '').replace(/^\$<BUILD_INTERFACE:(.*)>$/, '$1').replace(/\$\{(\w+)\}/g, (all, v) => vars[v] ?? all))
+  );
+}
+
+const KEYWORDS = new Set(['SYSTEM', 'BEFORE', 'AFTER', 'PUBLIC', 'PRIVATE', 'INTERFACE']);
+
+function cmakeIncludes(src, dir, projectRoot) {
+  const args = [
+    ...cmakeCalls(src, 'include_directories', { dir, projectRoot }),
+    // The first argument is the target
+    ...cmakeCalls(src, 'target_include_directories', { dir, projectRoot }).map(a => a.slice(1))
+  ].flat();
+  return args
+    .filter(arg => !KEYWORDS.has(arg) && !arg.includes('$'))
+    .map(arg => pathResolve(dir, arg));
+}
+
+// include_directories() of the CMakeLists.txt files above the file, then
+// those of every directory the root CMakeLists.txt reaches through
+// add_subdirectory(), where other targets publish their headers
+function cmakeDirs(file, projectRoot) {
+  const dirs = [];
+  for (let dir = dirname(file); inside(dir, projectRoot); dir = dirname(dir)) {
+    const src = readConfig(join(dir, 'CMakeLists.txt'));
+    if (src) dirs.push(...cmakeIncludes(src, dir, projectRoot));
+    if (dir === projectRoot) break;
+  }
+
+  const seen = new Set();
+  (function walk(dir) {
+    const src = !seen.has(dir) && readConfig(join(dir, 'CMakeLists.txt'));
+    seen.add(dir);
+    if (!src) return;
+    dirs.push(...cmakeIncludes(src, dir, projectRoot));
+    for (const [sub] of cmakeCalls(src, 'add_subdirectory', { dir, projectRoot })) {
+      if (sub && !sub.includes('$')) walk(pathResolve(dir, sub));
+    }
+  })(projectRoot);
+
+  return [...new Set(dirs)];
+}
+
+/* resolution ------------------------------------------------------------- */
+const isFile = path => existsSync(path) && statSync(path).isFile();
+
+// The implementation files next to a header, or, when the header sits under
+// include/, in the matching directory under src/ or in src/ itself
+// (include/mylib/foo.h -> src/mylib/foo.c or src/foo.c)
+function sourcesFor(file, stem) {
+  const dirs = [dirname(file)];
+  const parts = dirname(file).split(sep);
+  const at = parts.lastIndexOf('include');
+  if (at !== -1) {
+    dirs.push([...parts.slice(0, at), 'src', ...parts.slice(at + 1)].join(sep));
+    dirs.push([...parts.slice(0, at), 'src'].join(sep));
+  }
+  return [...new Set(dirs)].flatMap(dir => SOURCE_EXTS.map(ext => join(dir, stem + ext))).filter(isFile);
+}
+
+// `#include "x.h"` is looked up next to the including file, then in the
+// include directories of compile_commands.json and CMakeLists.txt, then in
+// the configured searchDirs. Header/source pairs resolve to nothing unless
+// `pairSources` is on.
+export function resolve(spec, { file, projectRoot, searchDirs = [], pairSources = false }) {
+  if (typeof spec !== 'object' || !spec.type?.startsWith('c_') || !exts.includes(extname(file))) return null;
+
+  if (spec.type === 'c_source') return pairSources ? sourcesFor(file, spec.value) : [];
+
+  const dirs = [
+    dirname(file),
+    ...compileCommandDirs(file, projectRoot),
+    ...cmakeDirs(file, projectRoot),
+    ...searchDirs.map(dir => join(projectRoot, dir))
+  ];
+  for (const dir of dirs) {
+    const target = pathResolve(dir, spec.value);
+    if (inside(target, projectRoot) && isFile(target)) return target;
+  }
+  return null;
+}
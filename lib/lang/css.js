@@ -61,7 +61,7 @@ export function scan(src, { file }) {
   return unique;
 }
 
-export function resolve(spec, { projectRoot, file }) {
+export function resolve(spec, { projectRoot, file, searchDirs = [] }) {
   const { type, value } = spec;
   
   // Don't try to resolve Ruby constants as CSS assets
@@ -118,7 +118,8 @@ export function resolve(spec, { projectRoot, file }) {
         'public/css',
         'static/css',
         'dist/css',
-        'build/css'
+        'build/css',
+        ...searchDirs
       ];
       
       for (const dir of assetDirs) {
@@ -24,6 +24,17 @@ const IGNORED_CONSTANTS = new Set([
   'false', 'nil', 'Rails', 'ENV'
 ]);
 
+// The full name of the constant a `constant` node ends (Admin::User for
+// `User` in `Admin::User`), or null for the leading segments of one
+function constantName(node) {
+  const isName = (child, parent) => parent?.type === 'scope_resolution' &&
+    parent.childForFieldName('name')?.startIndex === child.startIndex;
+  let full = node;
+  while (isName(full, full.parent)) full = full.parent;
+  if (full.parent?.type === 'scope_resolution') return null;
+  return full.text.replace(/^::/, '');
+}
+
 const SEARCH_DIRS = [
   'app/models', 'app/controllers', 'app/helpers', 'app/jobs', 'app/mailers',
   'app/services', 'app/workers', 'app/channels', 'app/policies',
@@ -89,7 +100,8 @@ export function scan(src, { file }) {
               }
             }
           } else if (capture.name === 'const') {
-            const value = capture.node.text;
+            const value = constantName(capture.node);
+            if (!value) continue;
             const rootConst = value.split('::')[0];
             
             if (!IGNORED_CONSTANTS.has(value) && !IGNORED_CONSTANTS.has(rootConst)) {
@@ -121,9 +133,10 @@ function underscore(str) {
     .toLowerCase();
 }
 
-function resolveConstant(value, projectRoot) {
+function resolveConstant(value, projectRoot, searchDirs = []) {
+  const dirs = [...SEARCH_DIRS, ...searchDirs];
   const filePath = underscore(value) + '.rb';
-  for (const dir of SEARCH_DIRS) {
+  for (const dir of dirs) {
     const fullPath = join(projectRoot, dir, filePath);
     if (existsSync(fullPath)) return fullPath;
   }
@@ -133,7 +146,7 @@ function resolveConstant(value, projectRoot) {
   if (value.endsWith('s')) {
     const singularValue = value.slice(0, -1);
     const singularFilePath = underscore(singularValue) + '.rb';
-    for (const dir of SEARCH_DIRS) {
+    for (const dir of dirs) {
       const fullPath = join(projectRoot, dir, singularFilePath);
       if (existsSync(fullPath)) return fullPath;
     }
@@ -142,7 +155,7 @@ function resolveConstant(value, projectRoot) {
   return null;
 }
 
-export function resolve(spec, { projectRoot, file }) {
+export function resolve(spec, { projectRoot, file, searchDirs = [] }) {
   // Only handle specs that came from ERB files
   if (typeof spec !== 'object' || !spec.type || !spec.value) {
     return null;
@@ -161,7 +174,7 @@ export function resolve(spec, { projectRoot, file }) {
   } else if (type === 'constant') {
     // Only resolve constants from ERB files
     if (file.endsWith('.html.erb')) {
-      return resolveConstant(value, projectRoot);
+      return resolveConstant(value, projectRoot, searchDirs);
     }
   } else if (type === 'render') {
     return resolveRender(value, projectRoot, file);
@@ -0,0 +1,196 @@
+import { join, dirname, resolve as pathResolve, sep } from 'node:path';
+import { existsSync, readFileSync, readdirSync, statSync } from 'node:fs';
+
+export const name = 'go';
+export const exts = ['.go'];
+
+// Resolution depends on these, wherever they are in the project (see the
+// scan cache in scan.js)
+export const configFiles = ['go.mod', 'go.work'];
+
+// Blanks out comments, leaving string and rune literals (which may contain
+// `//` or `/*`) alone; newlines are kept so line anchors still work
+function stripComments(src) {
+  let out = '';
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (c === '"' || c === '\'' || c === '`') {
+      let j = i + 1;
+      while (j < src.length && src[j] !== c && (c === '`' || src[j] !== '\n')) {
+        j += src[j] === '\\' && c !== '`' ? 2 : 1;
+      }
+      out += src.slice(i, j + 1);
+      i = j;
+    } else if (c === '/' && src[i + 1] === '/') {
+      const end = src.indexOf('\n', i);
+      i = (end === -1 ? src.length : end) - 1;
+    } else if (c === '/' && src[i + 1] === '*') {
+      const end = src.indexOf('*/', i + 2);
+      const stop = end === -1 ? src.length : end + 2;
+      out += src.slice(i, stop).replace(/[^\n]/g, ' ');
+      i = stop - 1;
+    } else {
+      out += c;
+    }
+  }
+  return out;
+}
+
+const PATH_LITERAL = /"((?:[^"\\\n]|\\.)*)"|`([^`]*)`/g;
+
+// Returns the package clause as { type: 'go_package', value: name } (the
+// other files of the same package, which share one namespace) and every
+// import path as { type: 'go_import', value: path }
+export function scan(src, { file }) {
+  if (!src || src.trim() === '') return [];
+
+  const code = stripComments(src);
+  const results = [];
+
+  const pkg = code.match(/^\s*package\s+(\w+)/m);
+  if (pkg) results.push({ type: 'go_package', value: pkg[1] });
+
+  // Imports sit between the package clause and the first declaration
+  const header = code.split(/^(?:func|type|var|const)\b/m)[0];
+  const IMPORT = /\bimport\s*(?:\(([^)]*)\)|((?:[\w.]+\s+)?(?:"(?:[^"\\\n]|\\.)*"|`[^`]*`)))/g;
+  for (const match of header.matchAll(IMPORT)) {
+    for (const literal of (match[1] ?? match[2]).matchAll(PATH_LITERAL)) {
+      const path = literal[1] ?? literal[2];
+      // "C" is cgo, not a package
+      if (path && path !== 'C') results.push({ type: 'go_import', value: path });
+    }
+  }
+
+  return results.filter((item, index, arr) =>
+    arr.findIndex(other => other.type === item.type && other.value === item.value) === index
+  );
+}
+
+/* go.mod and go.work ------------------------------------------------------- */
+// Arguments of every `keyword ...` line and `keyword ( ... )` block
+function directives(src, keyword) {
+  const args = [];
+  let inBlock = false;
+  for (const raw of src.split('\n')) {
+    const line = raw.replace(/\/\/.*$/, '').trim();
+    if (inBlock) {
+      if (line === ')') inBlock = false;
+      else if (line) args.push(line);
+      continue;
+    }
+    const match = line.match(new RegExp(`^${keyword}(?:\\s+(.*)|\\s*\\()$`));
+    if (!match) continue;
+    if (match[1] === undefined || match[1] === '(') inBlock = true;
+    else args.push(match[1]);
+  }
+  return args;
+}
+
+const unquote = s => s.replace(/^["`](.*)["`]$/, '$1');
+
+// `replace old [v] => ./local [v]` entries pointing at directories; ones
+// replacing a module by another version live in the module cache instead
+function localReplaces(src, baseDir) {
+  const modules = [];
+  for (const arg of directives(src, 'replace')) {
+    const [from, to] = arg.split('=>').map(side => unquote(side.trim().split(/\s+/)[0] || ''));
+    if (!from || !/^(?:\.{1,2}[\\/]|\/)/.test(to)) continue;
+    modules.push({ path: from, dir: pathResolve(baseDir, to) });
+  }
+  return modules;
+}
+
+// go.mod and go.work contents are reused while their mtime is unchanged
+const parsed = new Map();
+function readConfig(path) {
+  try {
+    const { mtimeMs } = statSync(path);
+    const hit = parsed.get(path);
+    if (hit?.mtimeMs === mtimeMs) return hit.src;
+    const src = readFileSync(path, 'utf8');
+    parsed.set(path, { mtimeMs, src });
+    return src;
+  } catch (e) {
+    return null;
+  }
+}
+
+// The module path declared in <dir>/go.mod
+function modulePath(dir) {
+  const src = readConfig(join(dir, 'go.mod'));
+  const [path] = src ? directives(src, 'module') : [];
+  return path ? unquote(path.split(/\s+/)[0]) : null;
+}
+
+function findUp(start, fileName, projectRoot) {
+  for (let dir = start; dir === projectRoot || dir.startsWith(projectRoot + sep); dir = dirname(dir)) {
+    if (existsSync(join(dir, fileName))) return dir;
+    if (dir === projectRoot) break;
+  }
+  return null;
+}
+
+// Every module path visible from `file`, mapped to a local directory, in
+// order of precedence: go.work replaces, the workspace's modules, the
+// nearest go.mod's replaces, and that module itself
+function modulesFor(file, projectRoot) {
+  const modules = [];
+  const workDir = findUp(dirname(file), 'go.work', projectRoot);
+  const work = workDir && readConfig(join(workDir, 'go.work'));
+  if (work) {
+    modules.push(...localReplaces(work, workDir));
+    for (const use of directives(work, 'use')) {
+      const dir = pathResolve(workDir, unquote(use));
+      const path = modulePath(dir);
+      if (path) modules.push({ path, dir });
+    }
+  }
+
+  const modDir = findUp(dirname(file), 'go.mod', projectRoot);
+  const mod = modDir && readConfig(join(modDir, 'go.mod'));
+  if (mod) {
+    modules.push(...localReplaces(mod, modDir));
+    const path = modulePath(modDir);
+    if (path) modules.push({ path, dir: modDir });
+  }
+  return modules;
+}
+
+/* resolution ------------------------------------------------------------- */
+// The non-test .go files of a package directory
+function packageFiles(dir) {
+  try {
+    return readdirSync(dir)
+      .filter(f => f.endsWith('.go') && !f.endsWith('_test.go'))
+      .sort()
+      .map(f => join(dir, f))
+      .filter(f => statSync(f).isFile());
+  } catch (e) {
+    return [];
+  }
+}
+
+// Resolves to every file of the imported package: the longest module path
+// the import starts with picks the directory. The standard library and
+// modules that are not replaced by a local copy stay unresolved.
+export function resolve(spec, { file, projectRoot }) {
+  if (typeof spec !== 'object' || !file.endsWith('.go')) return null;
+
+  if (spec.type === 'go_package') {
+    return packageFiles(dirname(file)).filter(f => f !== file);
+  }
+  if (spec.type !== 'go_import') return null;
+
+  let best = null;
+  for (const mod of modulesFor(file, projectRoot)) {
+    const matches = spec.value === mod.path || spec.value.startsWith(mod.path + '/');
+    if (matches && (!best || mod.path.length > best.path.length)) best = mod;
+  }
+  if (!best) return null;
+
+  // Replacements may point outside the project; those files are not bundled
+  const dir = join(best.dir, spec.value.slice(best.path.length));
+  if (dir !== projectRoot && !dir.startsWith(projectRoot + sep)) return null;
+  const files = packageFiles(dir);
+  return files.length > 0 ? files : null;
+}
@@ -72,7 +72,7 @@ export function scan(src, { file }) {
   return unique;
 }
 
-export function resolve(spec, { projectRoot, file }) {
+export function resolve(spec, { projectRoot, file, searchDirs = [] }) {
   const { type, value } = spec;
   
   if (['file_reference', 'script', 'stylesheet', 'image', 'html_page'].includes(type)) {
@@ -109,7 +109,8 @@ export function resolve(spec, { projectRoot, file }) {
         'app/assets/stylesheets',
         'app/assets/images',
         'dist',
-        'build'
+        'build',
+        ...searchDirs
       ];
       
       for (const dir of assetDirs) {
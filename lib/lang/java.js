@@ -0,0 +1,237 @@
+import { join, dirname, basename, extname, sep } from 'node:path';
+import { existsSync, readFileSync, readdirSync, statSync } from 'node:fs';
+
+export const name = 'java';
+export const exts = ['.java', '.kt'];
+
+// Module lists live in these (see the scan cache in scan.js)
+export const configFiles = ['settings.gradle', 'settings.gradle.kts', 'pom.xml'];
+
+// Comments, strings, text blocks and char literals, blanked out before the
+// imports and type names are read
+const NOISE = /\/\/[^\n]*|\/\*[\s\S]*?\*\/|"""[\s\S]*?"""|"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/g;
+
+// Types visible in every file without an import: java.lang and the Kotlin
+// built-ins
+const IMPLICIT = new Set([
+  'Object', 'String', 'StringBuilder', 'CharSequence', 'Boolean', 'Byte', 'Character', 'Short', 'Integer',
+  'Long', 'Float', 'Double', 'Number', 'Math', 'System', 'Thread', 'Runnable', 'Iterable', 'Comparable',
+  'Class', 'Enum', 'Record', 'Void', 'Throwable', 'Exception', 'Error', 'RuntimeException',
+  'IllegalArgumentException', 'IllegalStateException', 'NullPointerException', 'IndexOutOfBoundsException',
+  'UnsupportedOperationException', 'ClassCastException', 'ArithmeticException', 'InterruptedException',
+  'CloneNotSupportedException', 'AutoCloseable', 'Cloneable', 'Override', 'Deprecated', 'SuppressWarnings',
+  'FunctionalInterface', 'SafeVarargs',
+  'Any', 'Unit', 'Nothing', 'Int', 'Char', 'Array', 'IntArray', 'LongArray', 'ByteArray', 'CharArray',
+  'DoubleArray', 'FloatArray', 'BooleanArray', 'List', 'MutableList', 'Set', 'MutableSet', 'Map',
+  'MutableMap', 'Collection', 'Sequence', 'Pair', 'Triple', 'Result', 'Lazy', 'JvmStatic', 'JvmField',
+  'JvmOverloads', 'Throws', 'Suppress'
+]);
+
+const IMPORT = /^[ \t]*import\s+(static\s+)?([\w.]+?)(\.\*)?(?:\s+as\s+(\w+))?[ \t]*;?[ \t]*$/gm;
+
+// Returns
+//   { type: 'java_import', value: 'com.acme.Foo' }     single-type and
+//                                                      static imports
+//   { type: 'java_import', value: 'com.acme.*', names } on-demand imports
+//   { type: 'java_package', value: 'com.acme', names }  the file's own
+//                                                      package
+// `names` are the classes an on-demand import or the package may provide:
+// capitalized identifiers the file uses without importing or declaring them,
+// minus member accesses (`x.Foo`), ALL_CAPS constants and one-letter type
+// parameters, and the types every file sees (java.lang, Kotlin built-ins).
+export function scan(src, { file }) {
+  if (!src || src.trim() === '') return [];
+
+  const code = src.replace(NOISE, ' ');
+  const results = [];
+  const imported = new Set();
+  const wildcards = [];
+
+  for (const [, , path, star, alias] of code.matchAll(IMPORT)) {
+    if (star) {
+      wildcards.push(path);
+      continue;
+    }
+    results.push({ type: 'java_import', value: path });
+    imported.add(alias || path.split('.').pop());
+  }
+
+  const pkg = code.match(/^\s*package\s+([\w.]+)/m)?.[1] ?? '';
+  const body = code.replace(/^[ \t]*(?:package|import)\s[^\n]*$/gm, '');
+  const declared = new Set([basename(file, extname(file)),
+    ...[...body.matchAll(/\b(?:class|interface|enum|record|object|typealias)\s+([A-Z]\w*)/g)].map(m => m[1])]);
+  const names = [...new Set([...body.matchAll(/(?<![\w.$])[A-Z]\w*\b/g)].map(m => m[0]))]
+    .filter(n => !imported.has(n) && !declared.has(n) && !IMPLICIT.has(n) && !/^[A-Z][A-Z\d_]*$/.test(n))
+    .sort();
+
+  if (names.length > 0) {
+    for (const path of wildcards) results.push({ type: 'java_import', value: `${path}.*`, names });
+    results.push({ type: 'java_package', value: pkg, names });
+  }
+  return results;
+}
+
+/* source roots ------------------------------------------------------------ */
+const SOURCE_DIRS = ['src/main/java', 'src/main/kotlin', 'src/test/java', 'src/test/kotlin'];
+const BUILD_FILES = ['settings.gradle', 'settings.gradle.kts', 'pom.xml'];
+
+// Config files are reused while their mtime is unchanged
+const configs = new Map();
+function readConfig(path) {
+  try {
+    const { mtimeMs } = statSync(path);
+    const hit = configs.get(path);
+    if (hit?.mtimeMs === mtimeMs) return hit.src;
+    const src = readFileSync(path, 'utf8');
+    configs.set(path, { mtimeMs, src });
+    return src;
+  } catch (e) {
+    return null;
+  }
+}
+
+// The package a source file declares, reused while its mtime is unchanged
+const packages = new Map();
+function packageOf(file) {
+  try {
+    const { mtimeMs } = statSync(file);
+    const hit = packages.get(file);
+    if (hit?.mtimeMs === mtimeMs) return hit.pkg;
+    const pkg = readFileSync(file, 'utf8').replace(NOISE, ' ').match(/^\s*package\s+([\w.]+)/m)?.[1] ?? '';
+    packages.set(file, { mtimeMs, pkg });
+    return pkg;
+  } catch (e) {
+    return '';
+  }
+}
+
+const inside = (path, root) => path === root || path.startsWith(root + sep);
+
+// The outermost directory between the file and the project root with a
+// Gradle settings file or a pom.xml: Maven modules have their own pom.xml,
+// but only the parent lists them
+function buildRoot(file, projectRoot) {
+  let found = null;
+  for (let dir = dirname(file); inside(dir, projectRoot); dir = dirname(dir)) {
+    if (BUILD_FILES.some(f => existsSync(join(dir, f)))) found = dir;
+    if (dir === projectRoot) break;
+  }
+  return found;
+}
+
+// Module directories: `include ':app', ':lib:core'` from settings.gradle(.kts)
+// and <module> entries from pom.xml, following nested Maven parents
+function moduleDirs(root) {
+  const dirs = [root];
+  for (const name of ['settings.gradle', 'settings.gradle.kts']) {
+    const settings = readConfig(join(root, name));
+    if (!settings) continue;
+    for (const [, args] of settings.matchAll(/^\s*include\b\s*\(?([^\n]*)/gm)) {
+      for (const [, path] of args.matchAll(/["']([^"']+)["']/g)) {
+        dirs.push(join(root, ...path.replace(/^:/, '').split(':')));
+      }
+    }
+  }
+
+  (function maven(dir, level) {
+    const pom = readConfig(join(dir, 'pom.xml'));
+    if (!pom || level > 8) return;
+    for (const [, module] of pom.matchAll(/<module>\s*([^<\s]+)\s*<\/module>/g)) {
+      const sub = join(dir, module);
+      dirs.push(sub);
+      maven(sub, level + 1);
+    }
+  })(root, 0);
+
+  return [...new Set(dirs)];
+}
+
+// Every source root of the build, plus the one the file itself sits in
+// (its directory minus the package path), for non-standard layouts
+function sourceRoots(file, projectRoot, pkg) {
+  const roots = [];
+  const root = buildRoot(file, projectRoot);
+  if (root) {
+    for (const dir of moduleDirs(root)) {
+      for (const sub of SOURCE_DIRS) {
+        if (existsSync(join(dir, sub))) roots.push(join(dir, sub));
+      }
+    }
+  }
+  const pkgDir = pkg ? join(...pkg.split('.')) : '';
+  const own = dirname(file);
+  if (!pkgDir) roots.push(own);
+  else if (own.endsWith(sep + pkgDir)) roots.push(own.slice(0, -pkgDir.length - 1));
+  return [...new Set(roots)].filter(r => inside(r, projectRoot));
+}
+
+/* resolution ------------------------------------------------------------- */
+const SOURCE_EXTS = ['.java', '.kt'];
+
+// Kotlin files may hold top-level functions and properties under any name
+const declares = (file, member) =>
+  new RegExp(`\\b(?:fun|val|var|class|object|interface|typealias)\\s+(?:<[^>]*>\\s*)?(?:[\\w.]+\\.)?${member}\\b`)
+    .test(readFileSync(file, 'utf8'));
+
+// Files in a package directory named after one of `names`
+function packageFiles(roots, pkg, names) {
+  const wanted = new Set(names);
+  const files = [];
+  for (const root of roots) {
+    const dir = join(root, ...pkg.split('.').filter(Boolean));
+    try {
+      for (const entry of readdirSync(dir).sort()) {
+        const ext = extname(entry);
+        if (SOURCE_EXTS.includes(ext) && wanted.has(basename(entry, ext))) files.push(join(dir, entry));
+      }
+    } catch (e) {
+      // The package has no directory under this root
+    }
+  }
+  return files;
+}
+
+// The configured searchDirs are extra source roots
+export function resolve(spec, { file, projectRoot, searchDirs = [] }) {
+  if (typeof spec !== 'object' || !spec.type?.startsWith('java_') || !SOURCE_EXTS.includes(extname(file))) return null;
+
+  const roots = [...sourceRoots(file, projectRoot, packageOf(file)), ...searchDirs.map(dir => join(projectRoot, dir))];
+
+  if (spec.type === 'java_package') {
+    return packageFiles(roots, spec.value, spec.names || []).filter(f => f !== file);
+  }
+  let path = spec.value;
+  if (path.endsWith('.*')) {
+    path = path.slice(0, -2);
+    // `import static com.acme.Foo.*` takes the members of a class
+    if (!/^[A-Z]/.test(path.split('.').pop())) return packageFiles(roots, path, spec.names || []);
+  }
+
+  // com.acme.Foo, and com.acme.Foo.Inner or com.acme.Foo.member (static):
+  // the file of the first capitalized segment, the outermost class. Without
+  // one the whole path names the class; shorter prefixes are packages.
+  const segments = path.split('.');
+  const outer = segments.findIndex(s => /^[A-Z]/.test(s));
+  const classPath = outer === -1 ? segments : segments.slice(0, outer + 1);
+  for (const root of roots) {
+    for (const ext of SOURCE_EXTS) {
+      const target = join(root, ...classPath) + ext;
+      if (existsSync(target)) return target;
+    }
+  }
+
+  // Kotlin top-level declarations: com.acme.util.formatDate lives in any
+  // file of com.acme.util
+  const member = segments.pop();
+  for (const root of roots) {
+    const dir = join(root, ...segments);
+    try {
+      for (const entry of readdirSync(dir).sort()) {
+        if (entry.endsWith('.kt') && declares(join(dir, entry), member)) return join(dir, entry);
+      }
+    } catch (e) {
+      // The package has no directory under this root
+    }
+  }
+  return null;
+}
@@ -4,12 +4,16 @@ import TSGrammar  from 'tree-sitter-typescript';
 import { join } from 'node:path';
 import { existsSync } from 'node:fs';
 
+import { collapseNodes, parseOptions, PLACEHOLDER } from '../outline.js';
+import { sliceDeclarations } from '../slice.js';
+
 const parserJS  = new Parser(); parserJS.setLanguage(JavaScript);
 const parserTSX = new Parser(); parserTSX.setLanguage(TSGrammar.tsx);
 const parserTS  = new Parser(); parserTS.setLanguage(TSGrammar.typescript);
 
 const QUERY_JS = new Parser.Query(JavaScript, `
   (import_statement source: (string) @dep)
+  (export_statement source: (string) @dep)
   (call_expression
      function: (identifier) @fn
      arguments: (arguments (string) @dep)
@@ -18,6 +22,7 @@ const QUERY_JS = new Parser.Query(JavaScript, `
 
 const QUERY_TS = new Parser.Query(TSGrammar.typescript, `
   (import_statement source: (string) @dep)
+  (export_statement source: (string) @dep)
   (call_expression
      function: (identifier) @fn
      arguments: (arguments (string) @dep)
@@ -26,6 +31,7 @@ const QUERY_TS = new Parser.Query(TSGrammar.typescript, `
 
 const QUERY_TSX = new Parser.Query(TSGrammar.tsx, `
   (import_statement source: (string) @dep)
+  (export_statement source: (string) @dep)
   (call_expression
      function: (identifier) @fn
      arguments: (arguments (string) @dep)
@@ -76,7 +82,150 @@ export function scan(src, { file }) {
   }
 }
 
-export function resolve(spec, { projectRoot, aliasConfig, configBasePath, file }) {
+// Functions, methods and arrow functions with a block body spanning several
+// lines become `{ … }`; everything outside those bodies is kept as is
+const FUNCTION_TYPES = new Set([
+  'function_declaration', 'function_expression', 'function', 'arrow_function',
+  'generator_function_declaration', 'generator_function', 'method_definition'
+]);
+
+export function outline(src, { file }) {
+  const tree = parserFor(file).parse(src, null, parseOptions(src));
+  return collapseNodes(src, tree.rootNode, node => {
+    if (!FUNCTION_TYPES.has(node.type)) return null;
+    const body = node.childForFieldName('body');
+    if (body?.type !== 'statement_block' || body.startPosition.row === body.endPosition.row) return null;
+    return { start: body.startIndex, end: body.endIndex, text: `{ ${PLACEHOLDER} }` };
+  });
+}
+
+const parserFor = file => file.endsWith('.tsx') ? parserTSX : file.endsWith('.ts') ? parserTS : parserJS;
+const unquote = node => node.text.replace(/['"]/g, '');
+
+// Names each spec imports, in the same form scan() returns the specs:
+// `import a, { b as c } from './x'` gives './x' -> ['default', 'b'].
+// Namespace, side-effect and require() imports map to null (the whole
+// module), as does `export * from`.
+export function importedNames(src, { file }) {
+  const tree = parserFor(file).parse(src, null, parseOptions(src));
+  const imports = new Map();
+  const add = (spec, names) => {
+    const previous = imports.get(spec);
+    if (previous === null) return;
+    imports.set(spec, names && [...(previous || []), ...names]);
+  };
+
+  for (const node of tree.rootNode.namedChildren) {
+    const source = node.childForFieldName('source');
+    if (!source || (node.type !== 'import_statement' && node.type !== 'export_statement')) continue;
+    const clause = node.namedChildren.find(c => c.type === 'import_clause' || c.type === 'export_clause');
+    if (!clause || clause.namedChildren.some(c => c.type === 'namespace_import')) {
+      add(unquote(source), null);
+      continue;
+    }
+    const names = [];
+    for (const child of clause.namedChildren) {
+      if (child.type === 'identifier') names.push('default');
+      if (child.type === 'export_specifier') names.push(child.childForFieldName('name').text);
+      if (child.type === 'named_imports') {
+        for (const spec of child.namedChildren) {
+          if (spec.type === 'import_specifier') names.push(spec.childForFieldName('name').text);
+        }
+      }
+    }
+    add(unquote(source), names);
+  }
+
+  const query = file.endsWith('.tsx') ? QUERY_TSX : file.endsWith('.ts') ? QUERY_TS : QUERY_JS;
+  for (const match of query.matches(tree.rootNode)) {
+    const fn = match.captures.find(c => c.name === 'fn');
+    if (fn) add(unquote(match.captures.find(c => c.name === 'dep').node), null);
+  }
+  return imports;
+}
+
+// Top-level declarations and the names they bind
+const DECLARATION_TYPES = new Set([
+  'function_declaration', 'generator_function_declaration', 'class_declaration',
+  'abstract_class_declaration', 'interface_declaration', 'type_alias_declaration',
+  'enum_declaration', 'module', 'internal_module'
+]);
+
+function declaredNames(node) {
+  if (!node) return [];
+  if (DECLARATION_TYPES.has(node.type)) {
+    const name = node.childForFieldName('name');
+    return name ? [name.text] : [];
+  }
+  if (node.type === 'lexical_declaration' || node.type === 'variable_declaration') {
+    return node.namedChildren
+      .filter(c => c.type === 'variable_declarator')
+      .flatMap(c => {
+        const name = c.childForFieldName('name');
+        return name.type === 'identifier'
+          ? [name.text]
+          : name.descendantsOfType(['identifier', 'shorthand_property_identifier_pattern']).map(n => n.text);
+      });
+  }
+  if (node.type === 'ambient_declaration') return node.namedChildren.flatMap(declaredNames);
+  if (node.type === 'expression_statement') return declaredNames(node.namedChildren[0]);
+  return [];
+}
+
+const REFERENCE_TYPES = ['identifier', 'type_identifier', 'shorthand_property_identifier'];
+
+function describe(node) {
+  const uses = () => new Set(node.descendantsOfType(REFERENCE_TYPES).map(n => n.text));
+
+  if (node.type === 'import_statement') {
+    const clause = node.namedChildren.find(c => c.type === 'import_clause');
+    if (!clause) return { keep: true };
+    const defines = clause.descendantsOfType('identifier')
+      .filter(n => n.parent.type !== 'import_specifier' || n === (n.parent.childForFieldName('alias') ?? n.parent.childForFieldName('name')))
+      .map(n => n.text);
+    return { defines };
+  }
+
+  if (node.type === 'export_statement') {
+    const declaration = node.childForFieldName('declaration');
+    const isDefault = node.children.some(c => c.type === 'default');
+    const clause = node.namedChildren.find(c => c.type === 'export_clause');
+    const defines = clause
+      ? clause.namedChildren.map(s => (s.childForFieldName('alias') ?? s.childForFieldName('name')).text)
+      : declaredNames(declaration);
+    if (isDefault) defines.push('default');
+    // A re-export (`export { a } from './x'`) uses nothing declared here
+    return { defines, uses: node.childForFieldName('source') ? [] : uses() };
+  }
+
+  if (node.type === 'expression_statement' && node.namedChildren[0]?.type === 'string') {
+    return { keep: true };     // 'use strict' and other directives
+  }
+
+  if (node.type === 'expression_statement' && node.namedChildren[0]?.type === 'assignment_expression') {
+    let target = node.namedChildren[0].childForFieldName('left');
+    while (target.type === 'member_expression' || target.type === 'subscript_expression') {
+      target = target.childForFieldName('object');
+    }
+    if (target !== node.namedChildren[0].childForFieldName('left') && target.type === 'identifier') {
+      return { extends: target.text, uses: uses() };
+    }
+  }
+
+  return { defines: declaredNames(node), uses: uses() };
+}
+
+// Keeps only the top-level declarations that define `names` (exported
+// names, 'default' for the default export) and those they depend on.
+// Returns null when the file can't be sliced reliably: syntax errors, or a
+// name that isn't declared here (CommonJS, `export *`).
+export function slice(src, { file, names }) {
+  const tree = parserFor(file).parse(src, null, parseOptions(src));
+  if (tree.rootNode.hasError) return null;
+  return sliceDeclarations(src, tree.rootNode, { names, describe, comment: '//' });
+}
+
+export function resolve(spec, { projectRoot, aliasConfig, configBasePath, file, searchDirs = [] }) {
   // Handle both string specs and object specs (from Ruby)
   const specValue = typeof spec === 'string' ? spec : spec.value;
   
@@ -86,7 +235,7 @@ export function resolve(spec, { projectRoot, aliasConfig, configBasePath, file }
   }
   
   if (!aliasConfig?.compilerOptions?.paths) {
-    return null;
+    return resolveInSearchDirs(specValue, projectRoot, searchDirs);
   }
 
   const { baseUrl = ".", paths } = aliasConfig.compilerOptions; // Default baseUrl to "."
@@ -123,5 +272,24 @@ export function resolve(spec, { projectRoot, aliasConfig, configBasePath, file }
     }
   }
 
+  return resolveInSearchDirs(specValue, projectRoot, searchDirs);
+}
+
+// Bare specifiers looked up under extra directories from the project config,
+// the way NODE_PATH or a baseUrl would find them
+function resolveInSearchDirs(specValue, projectRoot, searchDirs) {
+  if (specValue.startsWith('.') || specValue.startsWith('/')) return null;
+
+  for (const dir of searchDirs) {
+    const base = join(projectRoot, dir, specValue);
+    for (const ext of exts) {
+      if (existsSync(`${base}${ext}`)) return `${base}${ext}`;
+    }
+    for (const ext of exts) {
+      const indexFile = join(base, `index${ext}`);
+      if (existsSync(indexFile)) return indexFile;
+    }
+  }
+
   return null;
 }
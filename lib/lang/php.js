@@ -0,0 +1,240 @@
+import { join, dirname, resolve as pathResolve, extname, sep } from 'node:path';
+import { existsSync, readFileSync, readdirSync, statSync } from 'node:fs';
+
+export const name = 'php';
+export const exts = ['.php'];
+
+// Autoload maps live here (see the scan cache in scan.js)
+export const configFiles = ['composer.json'];
+
+const COMMENT = /\/\/[^\n]*|#(?!\[)[^\n]*|\/\*[\s\S]*?\*\//g;
+const STRING = /'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*"/g;
+
+// The code between <?php (or <?=) and ?>; templates without it have none
+const phpBlocks = src =>
+  [...src.matchAll(/<\?(?:php\b|=)([\s\S]*?)(?:\?>|$)/g)].map(m => m[1]).join('\n');
+
+// Blanks out comments, leaving strings (which may contain `//` or `#`) alone
+const stripComments = code => code.replace(new RegExp(`${STRING.source}|${COMMENT.source}`, 'g'),
+  match => match[0] === '\'' || match[0] === '"' ? match : ' ');
+
+const NAME = '(?<![\\w$\\\\])\\\\?[A-Za-z_]\\w*(?:\\\\[A-Za-z_]\\w*)*';
+const NOT_CLASSES = new Set(['self', 'static', 'parent', 'class']);
+
+// `use A\B, C\D as E;` and `use A\{B, C as D};` as alias -> class name;
+// `use function` and `use const` import no class
+function useImports(clause) {
+  const imports = new Map();
+  const add = (path, alias) => {
+    const fqn = path.replace(/^\\/, '');
+    imports.set(alias || fqn.split('\\').pop(), fqn);
+  };
+  const group = clause.match(/^([\w\\]+?)\\?\{([^}]*)\}$/);
+  if (group) {
+    for (const part of group[2].split(',')) {
+      const [, path, alias] = part.trim().match(/^([\w\\]+)(?:\s+as\s+(\w+))?$/i) || [];
+      if (path) add(`${group[1]}\\${path}`, alias);
+    }
+    return imports;
+  }
+  for (const part of clause.split(',')) {
+    const [, path, alias] = part.trim().match(/^([\w\\]+)(?:\s+as\s+(\w+))?$/i) || [];
+    if (path) add(path, alias);
+  }
+  return imports;
+}
+
+// Returns
+//   { type: 'php_class', value: 'App\\Models\\User' }   classes imported by
+//       `use`, or named by `new`, `X::`, `extends`, `implements` and trait
+//       `use`, qualified through the namespace and the imports
+//   { type: 'php_include', value: 'path', dir: true }   require/include
+//       with a literal path; `dir` when it was relative to __DIR__
+export function scan(src, { file }) {
+  if (!src || src.trim() === '') return [];
+
+  const code = stripComments(phpBlocks(src));
+  const bare = code.replace(STRING, '\'\'');
+  const results = [];
+
+  const INCLUDE = /\b(?:require|include)(?:_once)?\s*\(?\s*(?:(__DIR__|dirname\s*\(\s*__FILE__\s*\))\s*\.\s*)?(['"])([^'"]+)\2/gi;
+  for (const [, dir, , path] of code.matchAll(INCLUDE)) {
+    results.push(dir ? { type: 'php_include', value: path, dir: true } : { type: 'php_include', value: path });
+  }
+
+  const namespace = bare.match(/^\s*namespace\s+([\w\\]+)\s*[;{]/m)?.[1] ?? '';
+  const firstClass = bare.search(/(?<![:>$])\b(?:class|interface|trait|enum)\s+\w/);
+  const imports = new Map();
+  const classes = [];
+  for (const match of bare.matchAll(/\buse\s+(?!function\b|const\b)([\w\\]+(?:\s*\{[^}]*\})?(?:\s+as\s+\w+)?(?:\s*,\s*[\w\\]+(?:\s+as\s+\w+)?)*)\s*[;{]/gi)) {
+    const clause = match[1].replace(/\s+(?=\{)|(?<=\{)\s+/g, '');
+    // After the first class declaration, `use Foo;` pulls in a trait
+    if (firstClass !== -1 && match.index > firstClass) {
+      classes.push(...clause.split(',').map(s => s.trim()));
+      continue;
+    }
+    for (const [alias, fqn] of useImports(clause)) {
+      imports.set(alias, fqn);
+      results.push({ type: 'php_class', value: fqn });
+    }
+  }
+
+  const REFERENCE = new RegExp(`\\bnew\\s+(${NAME})|(${NAME})\\s*::|\\b(?:extends|implements)\\s+(${NAME}(?:\\s*,\\s*${NAME})*)`, 'g');
+  for (const [, created, called, parents] of bare.matchAll(REFERENCE)) {
+    if (created || called) classes.push(created || called);
+    else classes.push(...parents.split(',').map(s => s.trim()));
+  }
+
+  for (const ref of classes) {
+    if (NOT_CLASSES.has(ref.toLowerCase())) continue;
+    let fqn;
+    if (ref.startsWith('\\')) {
+      fqn = ref.slice(1);
+    } else {
+      const [head, ...rest] = ref.split('\\');
+      fqn = imports.has(head)
+        ? [imports.get(head), ...rest].join('\\')
+        : namespace ? `${namespace}\\${ref}` : ref;
+    }
+    results.push({ type: 'php_class', value: fqn });
+  }
+
+  return results.filter((item, index, arr) =>
+    arr.findIndex(other => other.type === item.type && other.value === item.value) === index
+  );
+}
+
+/* composer.json ------------------------------------------------------------ */
+// Autoload maps are reused while the mtimes of composer.json and of the
+// classmap entries and directories are unchanged, so a class file added,
+// removed or renamed under a classmap directory is picked up (in --watch
+// mode too)
+const autoloads = new Map();
+
+function findUp(start, fileName, projectRoot) {
+  for (let dir = start; dir === projectRoot || dir.startsWith(projectRoot + sep); dir = dirname(dir)) {
+    if (existsSync(join(dir, fileName))) return dir;
+    if (dir === projectRoot) break;
+  }
+  return null;
+}
+
+const mtimeOf = path => {
+  try {
+    return statSync(path).mtimeMs;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Every .php file under a classmap entry (a file or a directory); the
+// directories walked are added to `dirs`
+function phpFiles(path, dirs) {
+  try {
+    if (!statSync(path).isDirectory()) return path.endsWith('.php') ? [path] : [];
+    dirs.push(path);
+    return readdirSync(path).sort().flatMap(entry => phpFiles(join(path, entry), dirs));
+  } catch (e) {
+    return [];
+  }
+}
+
+// Classes, interfaces, traits and enums a file declares, reused while its
+// mtime is unchanged
+const declarations = new Map();
+function declaredIn(file) {
+  try {
+    const { mtimeMs } = statSync(file);
+    const hit = declarations.get(file);
+    if (hit?.mtimeMs === mtimeMs) return hit.classes;
+    const code = stripComments(phpBlocks(readFileSync(file, 'utf8'))).replace(STRING, '\'\'');
+    const namespace = code.match(/^\s*namespace\s+([\w\\]+)\s*[;{]/m)?.[1];
+    const classes = [...code.matchAll(/^\s*(?:(?:abstract|final|readonly)\s+)*(?:class|interface|trait|enum)\s+(\w+)/gm)]
+      .map(([, declared]) => namespace ? `${namespace}\\${declared}` : declared);
+    declarations.set(file, { mtimeMs, classes });
+    return classes;
+  } catch (e) {
+    return [];
+  }
+}
+
+// Class name -> file for every file of the classmap, and the mtimes of its
+// entries and of the directories it was read from
+function buildClassmap(paths) {
+  const classes = new Map();
+  const dirs = [];
+  for (const file of paths.flatMap(path => phpFiles(path, dirs))) {
+    for (const name of declaredIn(file)) classes.set(name, file);
+  }
+  return { classes, stamps: [...new Set([...paths, ...dirs])].map(path => [path, mtimeOf(path)]) };
+}
+
+// The psr-4 prefixes (longest first) and classmap of autoload and
+// autoload-dev, with paths made absolute
+function autoloadFor(dir) {
+  const path = join(dir, 'composer.json');
+  try {
+    const { mtimeMs } = statSync(path);
+    const hit = autoloads.get(path);
+    if (hit?.mtimeMs === mtimeMs && hit.stamps.every(([dir, stamp]) => mtimeOf(dir) === stamp)) return hit.autoload;
+
+    const composer = JSON.parse(readFileSync(path, 'utf8'));
+    const psr4 = [];
+    const classmap = [];
+    for (const section of [composer.autoload, composer['autoload-dev']]) {
+      for (const [prefix, dirs] of Object.entries(section?.['psr-4'] || {})) {
+        for (const sub of [].concat(dirs)) psr4.push({ prefix, dir: pathResolve(dir, sub) });
+      }
+      for (const entry of section?.classmap || []) classmap.push(pathResolve(dir, entry));
+    }
+    psr4.sort((a, b) => b.prefix.length - a.prefix.length);
+
+    const { classes, stamps } = buildClassmap(classmap);
+    const autoload = { psr4, classmap: classes };
+    autoloads.set(path, { mtimeMs, stamps, autoload });
+    return autoload;
+  } catch (e) {
+    return null;
+  }
+}
+
+/* resolution ------------------------------------------------------------- */
+const inside = (path, root) => path === root || path.startsWith(root + sep);
+
+// Classes are looked up through the nearest composer.json: its psr-4
+// prefixes first, then its classmap, then as Foo/Bar.php for Foo\Bar under
+// the configured searchDirs. Framework and vendor classes stay unresolved.
+export function resolve(spec, { file, projectRoot, searchDirs = [] }) {
+  if (typeof spec !== 'object' || !spec.type?.startsWith('php_') || extname(file) !== '.php') return null;
+
+  if (spec.type === 'php_include') {
+    // __DIR__ . '/x.php' is relative to the file; a bare 'x.php' is also
+    // tried from the project root, standing in for the include_path
+    const path = spec.dir ? spec.value.replace(/^\//, '') : spec.value;
+    const bases = spec.dir || /^\.{1,2}[\\/]/.test(path) ? [dirname(file)] : [dirname(file), projectRoot];
+    for (const base of bases) {
+      const target = pathResolve(base, path);
+      if (inside(target, projectRoot) && existsSync(target) && statSync(target).isFile()) return target;
+    }
+    return null;
+  }
+
+  const composerDir = findUp(dirname(file), 'composer.json', projectRoot);
+  const autoload = composerDir && autoloadFor(composerDir);
+  const classFile = (dir, name) => {
+    const target = join(dir, ...name.split('\\')) + '.php';
+    return inside(target, projectRoot) && existsSync(target) ? target : null;
+  };
+
+  for (const { prefix, dir } of autoload?.psr4 || []) {
+    const target = spec.value.startsWith(prefix) && classFile(dir, spec.value.slice(prefix.length));
+    if (target) return target;
+  }
+  const mapped = autoload?.classmap.get(spec.value);
+  if (mapped && inside(mapped, projectRoot)) return mapped;
+  for (const dir of searchDirs) {
+    const target = classFile(join(projectRoot, dir), spec.value);
+    if (target) return target;
+  }
+  return null;
+}
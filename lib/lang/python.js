@@ -3,6 +3,9 @@ import Python from 'tree-sitter-python';
 import { join, dirname, resolve as pathResolve } from 'node:path';
 import { existsSync } from 'node:fs';
 
+import { collapseNodes, parseOptions, PLACEHOLDER } from '../outline.js';
+import { sliceDeclarations } from '../slice.js';
+
 const parser = new Parser();
 parser.setLanguage(Python);
 
@@ -52,7 +55,171 @@ export function scan(src, { file }) {
   }
 }
 
-export function resolve(spec, { file, projectRoot }) {
+// Function and method bodies spanning several lines are collapsed; a
+// docstring opening the body is kept above the placeholder
+export function outline(src) {
+  const tree = parser.parse(src, null, parseOptions(src));
+  return collapseNodes(src, tree.rootNode, node => {
+    if (node.type !== 'function_definition') return null;
+    const body = node.childForFieldName('body');
+    if (!body || body.endPosition.row === node.startPosition.row) return null;
+
+    const first = body.namedChildren[0];
+    const docstring = first?.type === 'expression_statement' && first.namedChildren[0]?.type === 'string'
+      ? first
+      : null;
+    if (docstring && body.namedChildren.length === 1) return null;
+
+    const indent = ' '.repeat(body.startPosition.column);
+    const text = docstring ? `${docstring.text}\n${indent}${PLACEHOLDER}` : PLACEHOLDER;
+    return { start: body.startIndex, end: body.endIndex, text };
+  });
+}
+
+// Names each module imports, keyed like scan()'s specs:
+// `from pkg.mod import a, b as c` gives 'pkg.mod' -> ['a', 'b']. Plain
+// `import pkg.mod` and `from pkg.mod import *` map to null (the whole module)
+export function importedNames(src) {
+  const tree = parser.parse(src, null, parseOptions(src));
+  const imports = new Map();
+  const add = (spec, names) => {
+    const previous = imports.get(spec);
+    if (previous === null) return;
+    imports.set(spec, names && [...(previous || []), ...names]);
+  };
+
+  for (const node of tree.rootNode.descendantsOfType(['import_statement', 'import_from_statement'])) {
+    if (node.type === 'import_statement') {
+      for (const name of node.childrenForFieldName('name')) {
+        add((name.childForFieldName('name') ?? name).text, null);
+      }
+      continue;
+    }
+    const spec = node.childForFieldName('module_name').text;
+    if (node.namedChildren.some(c => c.type === 'wildcard_import')) {
+      add(spec, null);
+      continue;
+    }
+    add(spec, node.childrenForFieldName('name').map(n => (n.childForFieldName('name') ?? n).text));
+  }
+  return imports;
+}
+
+// Names bound by a top-level statement. Definitions inside `if`, `try`,
+// `with` and `for` blocks count (`try: import x except ImportError: x =
+// None`); function and class bodies don't.
+function definedNames(node) {
+  switch (node.type) {
+    case 'function_definition':
+    case 'class_definition':
+      return [node.childForFieldName('name').text];
+    case 'decorated_definition':
+      return definedNames(node.childForFieldName('definition'));
+    case 'import_statement':
+      return node.childrenForFieldName('name').map(n =>
+        n.type === 'aliased_import' ? n.childForFieldName('alias').text : n.text.split('.')[0]);
+    case 'import_from_statement':
+      return node.childrenForFieldName('name').map(n =>
+        n.type === 'aliased_import' ? n.childForFieldName('alias').text : n.text);
+    case 'expression_statement': {
+      const assignment = node.namedChildren[0];
+      if (assignment?.type !== 'assignment' && assignment?.type !== 'augmented_assignment') return [];
+      const left = assignment.childForFieldName('left');
+      if (left.type === 'identifier') return [left.text];
+      if (left.type === 'pattern_list' || left.type === 'tuple_pattern') {
+        return left.namedChildren.filter(n => n.type === 'identifier').map(n => n.text);
+      }
+      return [];
+    }
+    case 'if_statement':
+    case 'try_statement':
+    case 'with_statement':
+    case 'for_statement':
+    case 'block':
+    case 'else_clause':
+    case 'elif_clause':
+    case 'except_clause':
+    case 'finally_clause':
+      return node.namedChildren.flatMap(definedNames);
+    default:
+      return [];
+  }
+}
+
+function describe(node) {
+  const uses = new Set(node.descendantsOfType('identifier').map(n => n.text));
+
+  // The module docstring
+  if (node.type === 'expression_statement' && node.namedChildren[0]?.type === 'string' &&
+      node === node.parent.namedChildren.find(c => c.type !== 'comment')) {
+    return { keep: true };
+  }
+  // `from x import *` may define anything
+  if (node.type === 'import_from_statement' && node.namedChildren.some(c => c.type === 'wildcard_import')) {
+    return { keep: true };
+  }
+  if (node.type === 'import_statement' || node.type === 'import_from_statement') {
+    return { defines: definedNames(node) };
+  }
+  // `Foo.attr = ...` after the class
+  const assignment = node.type === 'expression_statement' ? node.namedChildren[0] : null;
+  if (assignment?.type === 'assignment' && assignment.childForFieldName('left').type === 'attribute') {
+    let target = assignment.childForFieldName('left');
+    while (target.type === 'attribute') target = target.childForFieldName('object');
+    if (target.type === 'identifier') return { extends: target.text, uses };
+  }
+  return { defines: definedNames(node), uses };
+}
+
+// Keeps only the top-level functions, classes and assignments that define
+// `names`, and those they depend on. Returns null on syntax errors or when
+// a name isn't defined at the top level (it may come from `import *`).
+export function slice(src, { names }) {
+  const tree = parser.parse(src, null, parseOptions(src));
+  if (tree.rootNode.hasError) return null;
+  return sliceDeclarations(src, tree.rootNode, { names, describe, comment: '#' });
+}
+
+// Top-level modules of the standard library (sys.stdlib_module_names):
+// unresolved, they are reported as stdlib rather than external packages
+const STDLIB = new Set([
+  '__future__', 'abc', 'aifc', 'antigravity', 'argparse', 'array', 'ast',
+  'asynchat', 'asyncio', 'asyncore', 'atexit', 'audioop', 'base64', 'bdb',
+  'binascii', 'bisect', 'builtins', 'bz2', 'cProfile', 'calendar', 'cgi',
+  'cgitb', 'chunk', 'cmath', 'cmd', 'code', 'codecs', 'codeop', 'collections',
+  'colorsys', 'compileall', 'concurrent', 'configparser', 'contextlib',
+  'contextvars', 'copy', 'copyreg', 'crypt', 'csv', 'ctypes', 'curses',
+  'dataclasses', 'datetime', 'dbm', 'decimal', 'difflib', 'dis', 'distutils',
+  'doctest', 'email', 'encodings', 'ensurepip', 'enum', 'errno',
+  'faulthandler', 'fcntl', 'filecmp', 'fileinput', 'fnmatch', 'fractions',
+  'ftplib', 'functools', 'gc', 'genericpath', 'getopt', 'getpass', 'gettext',
+  'glob', 'graphlib', 'grp', 'gzip', 'hashlib', 'heapq', 'hmac', 'html',
+  'http', 'idlelib', 'imaplib', 'imghdr', 'imp', 'importlib', 'inspect', 'io',
+  'ipaddress', 'itertools', 'json', 'keyword', 'lib2to3', 'linecache',
+  'locale', 'logging', 'lzma', 'mailbox', 'mailcap', 'marshal', 'math',
+  'mimetypes', 'mmap', 'modulefinder', 'msilib', 'msvcrt', 'multiprocessing',
+  'netrc', 'nis', 'nntplib', 'nt', 'ntpath', 'nturl2path', 'numbers',
+  'opcode', 'operator', 'optparse', 'os', 'ossaudiodev', 'pathlib', 'pdb',
+  'pickle', 'pickletools', 'pipes', 'pkgutil', 'platform', 'plistlib',
+  'poplib', 'posix', 'posixpath', 'pprint', 'profile', 'pstats', 'pty', 'pwd',
+  'py_compile', 'pyclbr', 'pydoc', 'pydoc_data', 'pyexpat', 'queue', 'quopri',
+  'random', 're', 'readline', 'reprlib', 'resource', 'rlcompleter', 'runpy',
+  'sched', 'secrets', 'select', 'selectors', 'shelve', 'shlex', 'shutil',
+  'signal', 'site', 'smtpd', 'smtplib', 'sndhdr', 'socket', 'socketserver',
+  'spwd', 'sqlite3', 'sre_compile', 'sre_constants', 'sre_parse', 'ssl',
+  'stat', 'statistics', 'string', 'stringprep', 'struct', 'subprocess',
+  'sunau', 'symtable', 'sys', 'sysconfig', 'syslog', 'tabnanny', 'tarfile',
+  'telnetlib', 'tempfile', 'termios', 'textwrap', 'this', 'threading', 'time',
+  'timeit', 'tkinter', 'token', 'tokenize', 'tomllib', 'trace', 'traceback',
+  'tracemalloc', 'tty', 'turtle', 'turtledemo', 'types', 'typing',
+  'unicodedata', 'unittest', 'urllib', 'uu', 'uuid', 'venv', 'warnings',
+  'wave', 'weakref', 'webbrowser', 'winreg', 'winsound', 'wsgiref', 'xdrlib',
+  'xml', 'xmlrpc', 'zipapp', 'zipfile', 'zipimport', 'zlib', 'zoneinfo'
+]);
+
+export const isStdlib = spec => typeof spec === 'string' && STDLIB.has(spec.split('.')[0]);
+
+export function resolve(spec, { file, projectRoot, searchDirs = [] }) {
   if (!projectRoot || !spec) return null;
   
   // Handle both string specs (Python) and object specs (Ruby/ERB)
@@ -65,7 +232,7 @@ export function resolve(spec, { file, projectRoot }) {
   }
   
   // Handle absolute imports
-  return resolveAbsoluteImport(specValue, file, projectRoot);
+  return resolveAbsoluteImport(specValue, file, projectRoot, searchDirs);
 }
 
 function resolveRelativeImport(spec, file, projectRoot) {
@@ -88,13 +255,14 @@ function resolveRelativeImport(spec, file, projectRoot) {
   return null;
 }
 
-function resolveAbsoluteImport(spec, file, projectRoot) {
+function resolveAbsoluteImport(spec, file, projectRoot, searchDirs = []) {
   // Try to find the module starting from common Python source directories
   const sourceDirs = [
     projectRoot,
     join(projectRoot, 'src'),
     join(projectRoot, 'backend'),
     join(projectRoot, 'app'),
+    ...searchDirs.map(dir => join(projectRoot, dir)), // From the project config
     dirname(file) // Also try relative to current file
   ];
   
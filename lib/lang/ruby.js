@@ -3,6 +3,8 @@ import Ruby from 'tree-sitter-ruby';
 import { join, dirname } from 'node:path';
 import { existsSync } from 'node:fs';
 
+import { collapseNodes, parseOptions, PLACEHOLDER } from '../outline.js';
+
 const parser = new Parser();
 parser.setLanguage(Ruby);
 
@@ -24,6 +26,17 @@ const IGNORED_CONSTANTS = new Set([
   'false', 'nil', 'Rails', 'ENV'
 ]);
 
+// The full name of the constant a `constant` node ends (Admin::User for
+// `User` in `Admin::User`), or null for the leading segments of one
+function constantName(node) {
+  const isName = (child, parent) => parent?.type === 'scope_resolution' &&
+    parent.childForFieldName('name')?.startIndex === child.startIndex;
+  let full = node;
+  while (isName(full, full.parent)) full = full.parent;
+  if (full.parent?.type === 'scope_resolution') return null;
+  return full.text.replace(/^::/, '');
+}
+
 const SEARCH_DIRS = [
   'app/models', 'app/controllers', 'app/helpers', 'app/jobs', 'app/mailers',
   'app/services', 'app/workers', 'app/channels', 'app/policies',
@@ -160,7 +173,8 @@ export function scan(src, { file }) {
             }
           }
         } else if (capture.name === 'const') {
-          const value = capture.node.text;
+          const value = constantName(capture.node);
+          if (!value) continue;
           const rootConst = value.split('::')[0];
           
           if (!IGNORED_CONSTANTS.has(value) && !IGNORED_CONSTANTS.has(rootConst)) {
@@ -190,9 +204,10 @@ function underscore(str) {
     .toLowerCase();
 }
 
-function resolveConstant(value, projectRoot) {
+function resolveConstant(value, projectRoot, searchDirs = []) {
+  const dirs = [...SEARCH_DIRS, ...searchDirs];
   const filePath = underscore(value) + '.rb';
-  for (const dir of SEARCH_DIRS) {
+  for (const dir of dirs) {
     const fullPath = join(projectRoot, dir, filePath);
     if (existsSync(fullPath)) return fullPath;
   }
@@ -202,7 +217,7 @@ function resolveConstant(value, projectRoot) {
   if (value.endsWith('s')) {
     const singularValue = value.slice(0, -1);
     const singularFilePath = underscore(singularValue) + '.rb';
-    for (const dir of SEARCH_DIRS) {
+    for (const dir of dirs) {
       const fullPath = join(projectRoot, dir, singularFilePath);
       if (existsSync(fullPath)) return fullPath;
     }
@@ -211,7 +226,19 @@ function resolveConstant(value, projectRoot) {
   return null;
 }
 
-export function resolve(spec, { projectRoot, file }) {
+// Bodies of `def ... end` methods spanning several lines are collapsed;
+// comments above a method (its documentation) are outside the body
+export function outline(src) {
+  const tree = parser.parse(src, null, parseOptions(src));
+  return collapseNodes(src, tree.rootNode, node => {
+    if (node.type !== 'method' && node.type !== 'singleton_method') return null;
+    const body = node.childForFieldName('body');
+    if (body?.type !== 'body_statement' || body.startPosition.row === node.startPosition.row) return null;
+    return { start: body.startIndex, end: body.endIndex, text: PLACEHOLDER };
+  });
+}
+
+export function resolve(spec, { projectRoot, file, searchDirs = [] }) {
   // Only handle specs that came from Ruby files or ERB files
   if (typeof spec !== 'object' || !spec.type || !spec.value) {
     return null;
@@ -231,7 +258,7 @@ export function resolve(spec, { projectRoot, file }) {
     // Only resolve constants from Ruby and ERB files
     const fileExt = file.split('.').pop();
     if (fileExt === 'rb' || file.endsWith('.html.erb')) {
-      return resolveConstant(value, projectRoot);
+      return resolveConstant(value, projectRoot, searchDirs);
     }
   } else if (type === 'gem') {
     // For gem dependencies, try to find corresponding files in the project
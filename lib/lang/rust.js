@@ -0,0 +1,348 @@
+import { join, dirname, basename, relative, sep } from 'node:path';
+import { existsSync, readFileSync, readdirSync, statSync } from 'node:fs';
+
+export const name = 'rust';
+export const exts = ['.rs'];
+
+// Resolution depends on the workspace and member manifests (see the scan
+// cache in scan.js)
+export const configFiles = ['Cargo.toml'];
+
+/* tokens ------------------------------------------------------------------ */
+// Identifiers, punctuation and string literals, with comments (nested block
+// comments included), char literals and lifetimes skipped
+const TOKEN = /\s+|\/\/[^\n]*|(\/\*)|b?r(#*)"|b?"((?:[^"\\]|\\.)*)"|b?'(?:[^'\\\n]|\\[^'\n]*)'|'[A-Za-z_]\w*|([A-Za-z_]\w*)|(::|.)/ys;
+
+function tokenize(src) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < src.length) {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(src);
+    if (!match) break;
+    if (match[1]) {
+      // Block comments nest in Rust
+      let depth = 1;
+      let i = start + 2;
+      while (i < src.length && depth > 0) {
+        if (src.startsWith('/*', i)) { depth++; i += 2; }
+        else if (src.startsWith('*/', i)) { depth--; i += 2; }
+        else i++;
+      }
+      TOKEN.lastIndex = i;
+    } else if (match[2] !== undefined) {
+      const end = src.indexOf(`"${match[2]}`, TOKEN.lastIndex);
+      const stop = end === -1 ? src.length : end;
+      tokens.push({ string: src.slice(TOKEN.lastIndex, stop) });
+      TOKEN.lastIndex = stop + 1 + match[2].length;
+    } else if (match[3] !== undefined) {
+      tokens.push({ string: match[3] });
+    } else if (match[4] || match[5]) {
+      tokens.push(match[4] || match[5]);
+    }
+  }
+  return tokens;
+}
+
+// `use` trees to full paths: `a::{b, c::*}` gives [a, b] and [a, c]
+function expandUse(tokens) {
+  const paths = [];
+  let i = 0;
+  (function tree(prefix) {
+    const segments = [...prefix];
+    if (tokens[i] === '::') i++;
+    while (i < tokens.length) {
+      const token = tokens[i];
+      if (token === '{') {
+        i++;
+        while (i < tokens.length && tokens[i] !== '}') {
+          tree(segments);
+          if (tokens[i] === ',') i++;
+        }
+        i++;
+        return;
+      }
+      if (token === '*') {
+        i++;
+        paths.push(segments);
+        return;
+      }
+      if (typeof token !== 'string' || !/^\w+$/.test(token)) {
+        i++;
+        return;
+      }
+      i++;
+      if (token !== 'self' || segments.length === 0) segments.push(token);
+      if (tokens[i] === '::') {
+        i++;
+        continue;
+      }
+      if (tokens[i] === 'as') i += 2;
+      paths.push(segments);
+      return;
+    }
+  })([]);
+  return paths;
+}
+
+// Paths rooted in the standard library never resolve to project files
+const STD_CRATES = new Set(['std', 'core', 'alloc', 'proc_macro', 'test']);
+const LOCAL_ROOTS = new Set(['crate', 'self', 'super']);
+
+// Returns
+//   { type: 'rust_mod', value: 'a::foo' }      `mod foo;` (inside inline
+//                                              `mod a { }`), with `path`
+//                                              set by a #[path] attribute
+//   { type: 'rust_use', value: 'crate::x::y' } paths from `use` and
+//                                              crate::/super:: paths in code
+//   { type: 'rust_crate', value: 'serde::de' } paths into other crates
+export function scan(src, { file }) {
+  if (!src || src.trim() === '') return [];
+
+  const tokens = tokenize(src);
+  const results = [];
+  const inline = [];           // one entry per open brace: a module name or null
+  let pendingPath = null;
+  let pendingModule = null;
+
+  const addPath = segments => {
+    if (segments.length === 0 || STD_CRATES.has(segments[0])) return;
+    const type = LOCAL_ROOTS.has(segments[0]) ? 'rust_use' : 'rust_crate';
+    results.push({ type, value: segments.join('::') });
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    if (token === '#' && tokens[i + 1] === '[') {
+      if (tokens[i + 2] === 'path' && tokens[i + 3] === '=' && tokens[i + 4]?.string !== undefined) {
+        pendingPath = tokens[i + 4].string;
+      }
+      let depth = 0;
+      for (i++; i < tokens.length; i++) {
+        if (tokens[i] === '[') depth++;
+        if (tokens[i] === ']' && --depth === 0) break;
+      }
+      continue;
+    }
+
+    if (token === 'mod' && typeof tokens[i + 1] === 'string' && /^\w+$/.test(tokens[i + 1])) {
+      const name = tokens[i + 1];
+      if (tokens[i + 2] === ';') {
+        const mod = { type: 'rust_mod', value: [...inline.filter(Boolean), name].join('::') };
+        if (pendingPath !== null) mod.path = pendingPath;
+        results.push(mod);
+        i += 2;
+      } else if (tokens[i + 2] === '{') {
+        pendingModule = name;
+        i += 1;
+      }
+      pendingPath = null;
+      continue;
+    }
+
+    if (token === '{') {
+      inline.push(pendingModule);
+      pendingModule = null;
+      continue;
+    }
+    if (token === '}') {
+      inline.pop();
+      continue;
+    }
+    if (token === ';') {
+      pendingPath = null;
+      continue;
+    }
+
+    if (token === 'use' && tokens[i - 1] !== '::') {
+      const end = tokens.indexOf(';', i);
+      const tree = tokens.slice(i + 1, end === -1 ? tokens.length : end);
+      for (const path of expandUse(tree)) addPath(path);
+      i = end === -1 ? tokens.length : end;
+      continue;
+    }
+
+    if (token === 'extern' && tokens[i + 1] === 'crate' && typeof tokens[i + 2] === 'string') {
+      addPath([tokens[i + 2]]);
+      i += 2;
+      continue;
+    }
+
+    // crate::a::b and super::a in expressions and types
+    if ((token === 'crate' || token === 'super') && tokens[i + 1] === '::' && tokens[i - 1] !== '::') {
+      const segments = [token];
+      while (tokens[i + 1] === '::' && typeof tokens[i + 2] === 'string' && /^\w+$/.test(tokens[i + 2])) {
+        segments.push(tokens[i + 2]);
+        i += 2;
+      }
+      addPath(segments);
+    }
+  }
+
+  return results.filter((item, index, arr) =>
+    arr.findIndex(other => other.type === item.type && other.value === item.value && other.path === item.path) === index
+  );
+}
+
+/* Cargo.toml -------------------------------------------------------------- */
+// Enough TOML for package names, workspace members and path dependencies
+function tomlSection(src, header) {
+  const start = src.split('\n').findIndex(line => line.trim() === `[${header}]`);
+  if (start === -1) return null;
+  const lines = src.split('\n').slice(start + 1);
+  const end = lines.findIndex(line => line.trim().startsWith('['));
+  return (end === -1 ? lines : lines.slice(0, end)).join('\n');
+}
+
+const tomlString = (section, key) =>
+  section?.match(new RegExp(`^\\s*${key}\\s*=\\s*"([^"]*)"`, 'm'))?.[1] ?? null;
+
+const tomlArray = (section, key) => {
+  const body = section?.match(new RegExp(`^\\s*${key}\\s*=\\s*\\[([^\\]]*)\\]`, 'm'))?.[1];
+  return body ? [...body.matchAll(/"([^"]*)"/g)].map(m => m[1]) : [];
+};
+
+// Manifests are reused while their mtime is unchanged
+const manifests = new Map();
+function readManifest(dir) {
+  const path = join(dir, 'Cargo.toml');
+  try {
+    const { mtimeMs } = statSync(path);
+    const hit = manifests.get(path);
+    if (hit?.mtimeMs === mtimeMs) return hit.src;
+    const src = readFileSync(path, 'utf8');
+    manifests.set(path, { mtimeMs, src });
+    return src;
+  } catch (e) {
+    return null;
+  }
+}
+
+// A crate's name (as used in paths) and the file at its root
+function crateAt(dir) {
+  const manifest = readManifest(dir);
+  const pkg = tomlSection(manifest || '', 'package');
+  if (!pkg) return null;
+  const name = tomlString(pkg, 'name');
+  const lib = tomlString(tomlSection(manifest, 'lib'), 'path');
+  const root = [lib && join(dir, lib), join(dir, 'src', 'lib.rs'), join(dir, 'src', 'main.rs')]
+    .find(f => f && existsSync(f));
+  return name && root ? { name: name.replace(/-/g, '_'), dir, root } : null;
+}
+
+// Local crates visible from a crate: the workspace's members (`dir/*`
+// globs included) and path dependencies of the crate and the workspace
+function localCrates(crateDir, projectRoot) {
+  const dirs = [];
+  const pathDeps = (manifest, base) => {
+    for (const header of ['dependencies', 'dev-dependencies', 'build-dependencies', 'workspace.dependencies']) {
+      const section = tomlSection(manifest, header) || '';
+      for (const m of section.matchAll(/^\s*[\w-]+\s*=\s*\{[^}\n]*\bpath\s*=\s*"([^"]+)"/gm)) dirs.push(join(base, m[1]));
+    }
+  };
+
+  pathDeps(readManifest(crateDir) || '', crateDir);
+  for (let dir = crateDir; dir === projectRoot || dir.startsWith(projectRoot + sep); dir = dirname(dir)) {
+    const manifest = readManifest(dir);
+    const workspace = manifest && tomlSection(manifest, 'workspace');
+    if (workspace !== null) {
+      pathDeps(manifest, dir);
+      for (const member of tomlArray(workspace, 'members')) {
+        if (!member.endsWith('/*')) {
+          dirs.push(join(dir, member));
+          continue;
+        }
+        const parent = join(dir, member.slice(0, -2));
+        try {
+          for (const entry of readdirSync(parent).sort()) dirs.push(join(parent, entry));
+        } catch (e) {
+          // Missing member directory
+        }
+      }
+      break;
+    }
+    if (dir === projectRoot) break;
+  }
+  return dirs.map(crateAt).filter(Boolean);
+}
+
+/* module files ------------------------------------------------------------ */
+function findCrate(file, projectRoot) {
+  for (let dir = dirname(file); dir === projectRoot || dir.startsWith(projectRoot + sep); dir = dirname(dir)) {
+    const crate = crateAt(dir);
+    if (crate) return crate;
+    if (dir === projectRoot) break;
+  }
+  return null;
+}
+
+// Crate roots and mod.rs files keep their child modules next to them;
+// other files keep them in a directory named after the file
+const DIRECTORY_OWNERS = new Set(['lib.rs', 'main.rs', 'mod.rs', 'build.rs']);
+const isDirectoryOwner = (file, crate) =>
+  DIRECTORY_OWNERS.has(basename(file)) || file === crate?.root ||
+  ['bin', 'examples', 'tests', 'benches'].includes(basename(dirname(file)));
+
+const childDir = (file, crate) =>
+  isDirectoryOwner(file, crate) ? dirname(file) : join(dirname(file), basename(file, '.rs'));
+
+const moduleFile = base =>
+  [`${base}.rs`, join(base, 'mod.rs')].find(existsSync) ?? null;
+
+// The module path of a file inside its crate: src/a/b.rs is a::b
+function modulePath(file, crate) {
+  if (isDirectoryOwner(file, crate) && basename(file) !== 'mod.rs') return [];
+  const rel = relative(dirname(crate.root), basename(file) === 'mod.rs' ? dirname(file) : file.slice(0, -3));
+  return rel.startsWith('..') ? [] : rel.split(sep);
+}
+
+// The longest prefix of `segments` naming a module file; whatever follows
+// is an item inside it. Falls back to the crate root.
+function resolveInCrate(crate, segments) {
+  for (let k = segments.length; k > 0; k--) {
+    const target = moduleFile(join(dirname(crate.root), ...segments.slice(0, k)));
+    if (target) return target;
+  }
+  return crate.root;
+}
+
+export function resolve(spec, { file, projectRoot }) {
+  if (typeof spec !== 'object' || !file.endsWith('.rs') || !spec.type?.startsWith('rust_')) return null;
+  const crate = findCrate(file, projectRoot);
+  const inProject = f => f && (f === projectRoot || f.startsWith(projectRoot + sep));
+  // A file naming itself (`use crate::X` in lib.rs) resolves to nothing
+  const found = target => !inProject(target) ? null : target === file ? [] : target;
+
+  if (spec.type === 'rust_mod') {
+    const segments = spec.value.split('::');
+    const name = segments.pop();
+    if (spec.path !== undefined) {
+      const base = segments.length > 0 ? join(childDir(file, crate), ...segments) : dirname(file);
+      const target = join(base, spec.path);
+      return existsSync(target) ? found(target) : null;
+    }
+    return found(moduleFile(join(childDir(file, crate), ...segments, name)));
+  }
+
+  if (!crate) return null;
+  const [head, ...rest] = spec.value.split('::');
+
+  if (spec.type === 'rust_use') {
+    let base = head === 'crate' ? [] : modulePath(file, crate);
+    if (head === 'super') base = base.slice(0, -1);
+    while (rest[0] === 'super') {
+      base = base.slice(0, -1);
+      rest.shift();
+    }
+    return found(resolveInCrate(crate, [...base, ...rest]));
+  }
+
+  // Since the 2018 edition a path may also start with a module in scope
+  // (`mod config; use config::Settings;`)
+  if (moduleFile(join(childDir(file, crate), head))) {
+    return found(resolveInCrate(crate, [...modulePath(file, crate), head, ...rest]));
+  }
+  const other = localCrates(crate.dir, projectRoot).find(c => c.name === head);
+  return other ? found(resolveInCrate(other, rest)) : null;
+}
@@ -64,7 +64,7 @@ export function scan(src, { file }) {
   return unique;
 }
 
-export function resolve(spec, { projectRoot, file }) {
+export function resolve(spec, { projectRoot, file, searchDirs = [] }) {
   const { type, value } = spec;
   
   if (['file_reference', 'script', 'config'].includes(type)) {
@@ -100,7 +100,8 @@ export function resolve(spec, { projectRoot, file }) {
         'ci',
         '.github/workflows',
         '.gitlab-ci',
-        'docker'
+        'docker',
+        ...searchDirs
       ];
       
       for (const dir of scriptDirs) {
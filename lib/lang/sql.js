@@ -69,7 +69,7 @@ export function scan(src, { file }) {
   return unique;
 }
 
-export function resolve(spec, { projectRoot, file }) {
+export function resolve(spec, { projectRoot, file, searchDirs = [] }) {
   const { type, value } = spec;
   
   // Guard clause: ensure value exists and is a string
@@ -127,7 +127,8 @@ export function resolve(spec, { projectRoot, file }) {
         'src/sql',
         'src/database',
         'resources/sql',
-        'assets/sql'
+        'assets/sql',
+        ...searchDirs
       ];
       
       for (const dir of sqlDirs) {
@@ -38,7 +38,7 @@ export function scan(src, { file }) {
   return unique;
 }
 
-export function resolve(spec, { projectRoot, file }) {
+export function resolve(spec, { projectRoot, file, searchDirs = [] }) {
   const { type, value } = spec;
   
   if (type === 'file_reference') {
@@ -59,7 +59,8 @@ export function resolve(spec, { projectRoot, file }) {
       'config/initializers',
       'app/views',
       'app/views/layouts',
-      'lib'
+      'lib',
+      ...searchDirs
     ];
     
     for (const dir of configDirs) {
@@ -0,0 +1,58 @@
+// lib/outline.js
+import { readFileSync } from 'node:fs';
+
+import { loadPlugins, getFileExtension, PLUGIN_DIR } from './core.js';
+
+// What a collapsed body is replaced with
+export const PLACEHOLDER = '…';
+
+/* helpers for plug-in outline() functions -------------------------------- */
+// tree-sitter's default input buffer is too small for large files
+export const parseOptions = src => ({ bufferSize: Math.max(32 * 1024, src.length * 2 + 1) });
+
+// Walks the syntax tree and lets `collapse(node)` return the replacement
+// { start, end, text } for a node, or null to descend into it. Nothing inside
+// a collapsed node is visited, so only the outermost bodies are replaced.
+export function collapseNodes(src, root, collapse) {
+  const edits = [];
+  (function visit(node) {
+    const edit = collapse(node);
+    if (edit) {
+      edits.push(edit);
+      return;
+    }
+    for (const child of node.namedChildren) visit(child);
+  })(root);
+
+  let out = '';
+  let pos = 0;
+  for (const { start, end, text } of edits.sort((a, b) => a.start - b.start)) {
+    out += src.slice(pos, start) + text;
+    pos = end;
+  }
+  return out + src.slice(pos);
+}
+
+/* outline files for the bundle ------------------------------------------- */
+// Asks each file's plug-in for an outline: the file with function and
+// method bodies collapsed, signatures, imports, exports, classes, types and
+// docstrings kept. Returns a Map of the files that had anything to
+// collapse; plug-ins without an outline() leave their files alone.
+// `contents` overrides what is read from disk, like in renderFile().
+export async function outlineFiles(files, { contents = new Map(), plugins, disablePlugins = [] } = {}) {
+  const { scanners, ALL_EXT } = await loadPlugins(PLUGIN_DIR, true, { only: plugins, disable: disablePlugins });
+  const outlined = new Map();
+
+  for (const file of files) {
+    const plugin = scanners.get(getFileExtension(file, ALL_EXT));
+    if (!plugin?.outline) continue;
+    const src = contents.get(file) ?? readFileSync(file, 'utf8');
+    try {
+      const text = plugin.outline(src, { file });
+      if (text && text !== src) outlined.set(file, text);
+    } catch (e) {
+      // Unparseable files are bundled in full
+    }
+  }
+  return outlined;
+}
@@ -0,0 +1,108 @@
+// lib/pool.js
+import { Worker } from 'node:worker_threads';
+import os from 'node:os';
+
+// `--jobs 0` means one worker per CPU core
+export function jobCount(jobs) {
+  if (jobs === undefined || jobs === null) return 1;
+  if (jobs === 0) return os.availableParallelism?.() ?? os.cpus().length;
+  return jobs;
+}
+
+/* worker pool for plug-in scanners ---------------------------------------- */
+// Each worker loads the same plug-ins as the main thread (see
+// scan-worker.js). parse() hands out one file at a time to whichever worker
+// is free and resolves with the specs in the order the files were given,
+// so callers see exactly what parsing them one by one would have produced.
+// A file whose worker failed comes back as an Error, whether the worker
+// threw or just exited (process.exit(), killed for running out of memory);
+// a failed worker is not replaced, and once none are left every remaining
+// file fails the same way.
+export function createScanPool({ jobs, pluginDir, only, disable = [] }) {
+  const workerUrl = new URL('./scan-worker.js', import.meta.url);
+  const workers = [];
+  const idle = [];
+  const waiting = [];
+  const pending = new Map();    // task id -> { resolve, worker }
+  let nextId = 0;
+  let closing = false;
+
+  function spawn() {
+    const worker = new Worker(workerUrl, { workerData: { pluginDir, only, disable } });
+    // Idle workers never keep the process alive, even if scan() throws
+    // before close()
+    worker.unref();
+    worker.on('message', ({ id, specs, error }) => {
+      const task = pending.get(id);
+      pending.delete(id);
+      task.resolve(error ? new Error(error) : specs);
+      release(worker);
+    });
+    worker.on('error', e => retire(worker, e));
+    // 'exit' follows 'error' too, by which time the worker is gone already
+    worker.on('exit', code => {
+      if (!closing) retire(worker, new Error(`Scan worker exited with code ${code}`));
+    });
+    workers.push(worker);
+    return worker;
+  }
+
+  // Fails the worker's pending files, and every waiting one if it was the
+  // last worker
+  function retire(worker, e) {
+    if (!workers.includes(worker)) return;
+    for (const [id, task] of pending) {
+      if (task.worker !== worker) continue;
+      pending.delete(id);
+      task.resolve(e);
+    }
+    workers.splice(workers.indexOf(worker), 1);
+    const i = idle.indexOf(worker);
+    if (i >= 0) idle.splice(i, 1);
+    if (workers.length === 0) {
+      for (const task of waiting.splice(0)) task.resolve(e);
+    }
+  }
+
+  function release(worker) {
+    const next = waiting.shift();
+    if (next) {
+      run(worker, next);
+    } else {
+      worker.unref();
+      idle.push(worker);
+    }
+  }
+
+  function run(worker, { file, src, resolve }) {
+    const id = nextId++;
+    pending.set(id, { resolve, worker });
+    worker.ref();
+    worker.postMessage({ id, file, src });
+  }
+
+  for (let i = 0; i < jobs; i++) idle.push(spawn());
+
+  function parseOne(file, src) {
+    return new Promise(resolve => {
+      const task = { file, src, resolve };
+      if (workers.length === 0) return resolve(new Error('No scan workers left'));
+      const worker = idle.shift();
+      if (worker) {
+        run(worker, task);
+      } else {
+        waiting.push(task);
+      }
+    });
+  }
+
+  // [{ file, src }] -> specs (or an Error) per file, in the same order
+  const parse = files => Promise.all(files.map(({ file, src }) => parseOne(file, src)));
+
+  async function close() {
+    closing = true;
+    await Promise.all(workers.map(w => w.terminate()));
+  }
+
+  return { parse, close };
+}
@@ -0,0 +1,222 @@
+// lib/project.js
+import { readFileSync, existsSync, statSync } from 'node:fs';
+import { join, dirname, relative } from 'node:path';
+
+/* project root markers --------------------------------------------------- */
+// Function to check for repository root markers
+export function isRepositoryRoot(dir) {
+  // Only consider it a repo root if it has .git directory (the definitive marker)
+  // .gitignore alone is not enough as it can exist in subdirectories
+  return existsSync(join(dir, '.git'));
+}
+
+// Function to check for project root markers
+export function isProjectRoot(dir) {
+  const projectMarkers = [
+    'package.json',    // Node.js/JavaScript
+    'pyproject.toml',  // Python
+    'Cargo.toml',      // Rust
+    'go.mod',          // Go
+    'pom.xml',         // Java/Maven
+    'build.gradle',    // Java/Gradle
+    'composer.json',   // PHP
+    'Gemfile',         // Ruby
+    'requirements.txt' // Python (alternative)
+  ];
+  return projectMarkers.some(marker => existsSync(join(dir, marker)));
+}
+
+// Cargo and Go workspaces: their members are project roots of their own,
+// but resolve imports into each other through the workspace manifest
+export function isWorkspaceRoot(dir) {
+  if (existsSync(join(dir, 'go.work'))) return true;
+  try {
+    return /^\s*\[workspace\]\s*$/m.test(readFileSync(join(dir, 'Cargo.toml'), 'utf8'));
+  } catch (e) {
+    return false;
+  }
+}
+
+// Nearest enclosing directory with a .git marker, or null
+export function findRepositoryRoot(start) {
+  let currentDir = existsSync(start) && statSync(start).isFile() ? dirname(start) : start;
+  while (true) {
+    if (isRepositoryRoot(currentDir)) return currentDir;
+    const parent = dirname(currentDir);
+    if (parent === currentDir) return null;
+    currentDir = parent;
+  }
+}
+
+/* find project root ------------------------------------------------------ */
+// Search strategy: prioritize repository root, then project root, then the
+// input directory itself. Returns the root and which of the three it was.
+// A project inside a Cargo or Go workspace (a member crate or module) is
+// rooted at the workspace, so the other members are in reach.
+export function findProjectRoot(input) {
+  let start = input;
+
+  // If input is a file, start from its directory
+  if (existsSync(start) && statSync(start).isFile()) {
+    start = dirname(start);
+  }
+
+  let foundRepoRoot = null;
+  let foundProjectRoot = null;
+  let foundWorkspaceRoot = null;
+
+  // Search upward for repository and project markers
+  let currentDir = start;
+  while (currentDir !== dirname(currentDir)) { // Stop at filesystem root
+    if (isRepositoryRoot(currentDir) && !foundRepoRoot) {
+      foundRepoRoot = currentDir;
+    }
+    if (isProjectRoot(currentDir) && !foundProjectRoot) {
+      foundProjectRoot = currentDir;
+    }
+    if (foundProjectRoot && !foundWorkspaceRoot && isWorkspaceRoot(currentDir)) {
+      foundWorkspaceRoot = currentDir;
+    }
+
+    // If we found a repository root, we can stop searching
+    if (foundRepoRoot) break;
+
+    const parent = dirname(currentDir);
+    if (parent === currentDir) break; // Additional safety check
+    currentDir = parent;
+  }
+
+  if (foundRepoRoot) return { root: foundRepoRoot, kind: 'repository' };
+  if (foundProjectRoot) return { root: foundWorkspaceRoot ?? foundProjectRoot, kind: 'project' };
+  return { root: start, kind: 'input' };
+}
+
+/* ts/jsconfig parsing ---------------------------------------------------- */
+// Function to safely parse JSON-like config files (tsconfig, jsconfig)
+export function parseConfigFile(content, warn = msg => console.warn(`⚠️  ${msg}`)) {
+  try {
+    // First, try to parse as-is (in case it's already valid JSON)
+    return JSON.parse(content);
+  } catch (e) {
+    // If that fails, clean it up
+    let cleanContent = content;
+
+    // Remove single-line comments, but not inside strings
+    cleanContent = cleanContent.replace(/\/\/.*$/gm, '');
+
+    // Remove multi-line comments, but be careful about strings
+    cleanContent = cleanContent.replace(/\/\*[\s\S]*?\*\//g, '');
+
+    // Remove trailing commas before closing brackets/braces
+    cleanContent = cleanContent.replace(/,(\s*[}\]])/g, '$1');
+
+    // Handle common tsconfig.json issues
+    cleanContent = cleanContent
+      // Remove any remaining trailing commas
+      .replace(/,(\s*[}\],])/g, '$1')
+      // Clean up any double commas that might have been created
+      .replace(/,,+/g, ',')
+      // Remove commas before closing braces/brackets
+      .replace(/,(\s*[}\]])/g, '$1');
+
+    try {
+      return JSON.parse(cleanContent);
+    } catch (e2) {
+      // If still failing, try a more aggressive approach
+      warn(`TSConfig parsing failed, attempting fallback parsing...`);
+
+      // Try to extract just the compilerOptions section if possible
+      const compilerOptionsMatch = cleanContent.match(/"compilerOptions"\s*:\s*({[^}]*})/);
+      if (compilerOptionsMatch) {
+        try {
+          const compilerOptions = JSON.parse(compilerOptionsMatch[1]);
+          return { compilerOptions };
+        } catch (e3) {
+          // If even that fails, return minimal config
+          warn(`Could not parse tsconfig.json, path aliases will not work`);
+          return null;
+        }
+      }
+
+      // Last resort: return null to disable path alias resolution
+      warn(`Could not parse tsconfig.json, path aliases will not work`);
+      return null;
+    }
+  }
+}
+
+// Function to find the nearest tsconfig.json or jsconfig.json
+export function findNearestConfig(startPath, projectRoot) {
+  let currentDir = dirname(startPath);
+
+  // Search upward from the file location, but don't go above project root
+  while (currentDir.startsWith(projectRoot)) {
+    const tsconfigPath = join(currentDir, 'tsconfig.json');
+    const jsconfigPath = join(currentDir, 'jsconfig.json');
+
+    if (existsSync(tsconfigPath)) {
+      return { path: tsconfigPath, type: 'tsconfig' };
+    }
+    if (existsSync(jsconfigPath)) {
+      return { path: jsconfigPath, type: 'jsconfig' };
+    }
+
+    const parent = dirname(currentDir);
+    if (parent === currentDir) break; // Reached filesystem root
+    currentDir = parent;
+  }
+
+  return null;
+}
+
+/* load ts/jsconfig for path aliases -------------------------------------- */
+// Prefers the config nearest to the first input file, falling back to the
+// project root. Returns the parsed config and the directory it lives in.
+export function loadAliasConfig(inputs, projectRoot, { quiet = false, warn } = {}) {
+  let aliasConfig = null;
+  let configBasePath = projectRoot;
+
+  // If we have specific input files, find config relative to them
+  if (inputs.length > 0 && inputs[0] !== projectRoot) {
+    const inputFile = inputs[0];
+    if (existsSync(inputFile) && statSync(inputFile).isFile()) {
+      const config = findNearestConfig(inputFile, projectRoot);
+      if (config) {
+        configBasePath = dirname(config.path);
+        try {
+          const content = readFileSync(config.path, 'utf8');
+          aliasConfig = parseConfigFile(content, warn);
+          if (!quiet) console.error(`[scanex] Loaded ${config.type}.json from ${relative(projectRoot, config.path)} for path aliases`);
+        } catch (e) {
+          if (!quiet) console.error(`Error parsing ${config.type}.json: ${e.message}`);
+        }
+      }
+    }
+  }
+
+  // Fallback: look in project root
+  if (!aliasConfig) {
+    const tsconfigPath = join(projectRoot, 'tsconfig.json');
+    const jsconfigPath = join(projectRoot, 'jsconfig.json');
+
+    if (existsSync(tsconfigPath)) {
+      try {
+        const content = readFileSync(tsconfigPath, 'utf8');
+        aliasConfig = parseConfigFile(content, warn);
+        if (!quiet) console.error(`[scanex] Loaded tsconfig.json for path aliases`);
+      } catch (e) {
+        if (!quiet) console.error(`Error parsing tsconfig.json: ${e.message}`);
+      }
+    } else if (existsSync(jsconfigPath)) {
+      try {
+        const content = readFileSync(jsconfigPath, 'utf8');
+        aliasConfig = parseConfigFile(content, warn);
+        if (!quiet) console.error(`[scanex] Loaded jsconfig.json for path aliases`);
+      } catch (e) {
+        if (!quiet) console.error(`Error parsing jsconfig.json: ${e.message}`);
+      }
+    }
+  }
+
+  return { aliasConfig, configBasePath };
+}
@@ -0,0 +1,155 @@
+// lib/redact.js
+import { readFileSync } from 'node:fs';
+import { basename } from 'node:path';
+
+/* built-in detectors ----------------------------------------------------- */
+// Each detector masks its whole match, or only the named `secret` group when
+// the pattern has one. Earlier detectors win where matches overlap.
+const ENV_FILE = /^(?:\.env(?:\.(?!example$|sample$|template$)[\w.-]+)?|[\w.-]+\.env)$/;
+
+export const DETECTORS = [
+  {
+    name: 'private-key',
+    pattern: /-----BEGIN [A-Z0-9 ]*PRIVATE KEY(?: BLOCK)?-----\r?\n(?<secret>[\s\S]*?)\r?\n-----END [A-Z0-9 ]*PRIVATE KEY(?: BLOCK)?-----/g
+  },
+  {
+    name: 'aws-access-key',
+    pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[0-9A-Z]{16}\b/g
+  },
+  {
+    name: 'aws-secret-key',
+    pattern: /aws_?secret_?(?:access_?)?key["']?\s*[:=]\s*["']?(?<secret>[A-Za-z0-9/+=]{40})(?![A-Za-z0-9/+=])/gi
+  },
+  {
+    name: 'jwt',
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g
+  },
+  {
+    // Every non-empty value in .env, .env.local, production.env, ... (also
+    // on the +/- lines of their diffs)
+    name: 'env-value',
+    files: file => ENV_FILE.test(basename(file)),
+    pattern: /^[+-]?[ \t]*(?:export[ \t]+)?[A-Za-z_][A-Za-z0-9_.]*[ \t]*=[ \t]*(?<secret>"[^"\n]*"|'[^'\n]*'|[^\s#'"][^\n#]*?)[ \t]*(?:#.*)?$/gm
+  },
+  {
+    // Quoted strings and assigned values that look like random tokens
+    name: 'high-entropy',
+    pattern: /(?:(?<=[=:][ \t]*["'`]?)|(?<=["'`]))(?<secret>[A-Za-z0-9+/_-]{20,}={0,2})(?=["'`\s,;]|$)/gm,
+    accept: looksRandom
+  }
+];
+
+/* entropy check ---------------------------------------------------------- */
+// Shannon entropy in bits per character
+function entropy(text) {
+  const counts = new Map();
+  for (const c of text) counts.set(c, (counts.get(c) || 0) + 1);
+  let bits = 0;
+  for (const n of counts.values()) {
+    const p = n / text.length;
+    bits -= p * Math.log2(p);
+  }
+  return bits;
+}
+
+// Thresholds follow the usual secret scanners: hex needs at least 32
+// characters and 3 bits, anything base64-like 4.5 bits. Identifiers and
+// words (no digits) are never flagged.
+function looksRandom(value) {
+  if (!/\d/.test(value) || !/[A-Za-z]/.test(value)) return false;
+  if (/^[0-9a-f]+$/i.test(value)) return value.length >= 32 && entropy(value) >= 3;
+  return entropy(value) >= 4.5;
+}
+
+/* user patterns ---------------------------------------------------------- */
+// Strings are regex sources; `{ name, pattern }` objects name the finding in
+// the summary. A pattern with a capture group masks only the first group.
+function compileUserPattern(entry) {
+  const { name = 'custom', pattern } = typeof entry === 'object' && !(entry instanceof RegExp)
+    ? entry
+    : { pattern: entry };
+  const source = pattern instanceof RegExp ? pattern.source : String(pattern);
+  const flags = pattern instanceof RegExp ? pattern.flags.replace(/[gd]/g, '') : '';
+  let regex;
+  try {
+    regex = new RegExp(source, flags + 'g');
+  } catch (e) {
+    throw new Error(`Invalid redaction pattern ${source}: ${e.message}`);
+  }
+  return { name, pattern: regex, firstGroup: true };
+}
+
+/* redactor ---------------------------------------------------------------- */
+// redact(text, file) returns the masked text and one finding per masked
+// value, with the 1-based line it started on.
+export function createRedactor({ patterns = [], builtins = true } = {}) {
+  const detectors = [
+    ...(builtins ? DETECTORS : []),
+    ...[].concat(patterns).map(compileUserPattern)
+  ];
+
+  function redact(text, file = '') {
+    const hits = [];
+    for (const detector of detectors) {
+      if (detector.files && !detector.files(file)) continue;
+      const regex = new RegExp(detector.pattern.source, detector.pattern.flags + 'd');
+      for (const match of text.matchAll(regex)) {
+        const span = match.indices.groups?.secret ||
+          (detector.firstGroup && match.indices[1]) ||
+          match.indices[0];
+        const [start, end] = span;
+        if (end === start) continue;
+        if (detector.accept && !detector.accept(text.slice(start, end))) continue;
+        if (hits.some(h => start < h.end && end > h.start)) continue;
+        hits.push({ start, end, detector: detector.name });
+      }
+    }
+    if (hits.length === 0) return { text, findings: [] };
+
+    hits.sort((a, b) => a.start - b.start);
+    let out = '';
+    let pos = 0;
+    let line = 1;
+    const findings = [];
+    for (const hit of hits) {
+      const before = text.slice(pos, hit.start);
+      line += before.split('\n').length - 1;
+      findings.push({ detector: hit.detector, line });
+      out += before + `[REDACTED:${hit.detector}]`;
+      line += text.slice(hit.start, hit.end).split('\n').length - 1;
+      pos = hit.end;
+    }
+    return { text: out + text.slice(pos), findings };
+  }
+
+  return { redact };
+}
+
+/* redact a whole bundle --------------------------------------------------- */
+// Masks file contents and their diffs up front, so every renderer and the
+// token budget see the same text. Findings carry `diff: true` when they were
+// found in a file's diff rather than its contents.
+export function redactFiles(files, redactor, { diffs = new Map() } = {}) {
+  const contents = new Map();
+  const redactedDiffs = new Map();
+  const findings = [];
+
+  for (const file of files) {
+    let text;
+    try {
+      text = readFileSync(file, 'utf8');
+    } catch (e) {
+      continue;
+    }
+    const result = redactor.redact(text, file);
+    contents.set(file, result.text);
+    findings.push(...result.findings.map(f => ({ file, ...f })));
+
+    if (diffs.has(file)) {
+      const diff = redactor.redact(diffs.get(file), file);
+      redactedDiffs.set(file, diff.text);
+      findings.push(...diff.findings.map(f => ({ file, ...f, diff: true })));
+    }
+  }
+  return { contents, diffs: redactedDiffs, findings };
+}
@@ -0,0 +1,16 @@
+// lib/scan-worker.js — parses files for the pool in pool.js
+import { parentPort, workerData } from 'node:worker_threads';
+
+import { loadPlugins, getFileExtension } from './core.js';
+
+const { pluginDir, only, disable } = workerData;
+const { scanners, ALL_EXT } = await loadPlugins(pluginDir, true, { only, disable });
+
+parentPort.on('message', ({ id, file, src }) => {
+  try {
+    const scanner = scanners.get(getFileExtension(file, ALL_EXT));
+    parentPort.postMessage({ id, specs: scanner ? scanner.scan(src, { file }) : [] });
+  } catch (e) {
+    parentPort.postMessage({ id, error: e.message });
+  }
+});
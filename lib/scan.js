@@ -0,0 +1,466 @@
+// lib/scan.js
+import { readFileSync, existsSync, statSync } from 'node:fs';
+import { resolve, dirname, basename, join, relative, sep } from 'node:path';
+
+import { loadPlugins, walk, log, makeTree, getFileExtension, PLUGIN_DIR } from './core.js';
+import { findProjectRoot, findRepositoryRoot, loadAliasConfig } from './project.js';
+import { changedFiles } from './git.js';
+import { searchDirsFor } from './config.js';
+import { createPathFilter } from './filters.js';
+import { openScanCache, hash } from './cache.js';
+import { createScanPool, jobCount } from './pool.js';
+
+// Object spec types that name packages rather than paths: left unresolved,
+// they are reported as external packages
+const PACKAGE_SPEC_TYPES = new Set(['require', 'gem', 'go_import', 'rust_crate', 'java_import', 'php_class']);
+
+/* programmatic entry point ----------------------------------------------- */
+// Discovers the input files and everything related to them, without printing
+// or writing anything unless `quiet` is turned off. Rendering the result is
+// left to the caller (see `bundle()` in core.js).
+//
+//   inputs            files or directories, relative to `cwd` (default ['.'])
+//   exclude           gitignore-style globs of paths to ignore, `!glob` to
+//                     keep one again (a string, or an array of them); regex
+//                     strings and RegExps are still accepted
+//   include           globs files must match to be kept, `!glob` to drop
+//                     matches again
+//   deps              follow imports from the inputs (default true)
+//   depth             stop following imports after this many hops
+//   dependents        also collect files that import the inputs
+//   dependentsDepth   stop following importers after this many hops
+//   since             seed with files changed since this git ref instead
+//   staged            seed with files staged in the git index instead
+//   tree              build the directory tree string (default true)
+//   plugins           names of the only language plug-ins to load
+//   disablePlugins    names of language plug-ins to skip
+//   searchDirs        extra resolver search directories, as an array for
+//                     every plug-in or an object keyed by plug-in name
+//   pairSources       follow C/C++ headers to their implementation files
+//   cache             a Map reused across calls: files whose size and mtime
+//                     are unchanged are not parsed again
+//   cacheDir          directory of the persistent scan cache (see cache.js);
+//                     no cache is read or written without it
+//   jobs              worker threads parsing files in parallel (default 1,
+//                     0 for one per CPU core); the result does not change
+export async function scan({
+  inputs = ['.'],
+  cwd = process.cwd(),
+  exclude = 'node_modules',
+  include,
+  deps = true,
+  depth,
+  dependents = false,
+  dependentsDepth,
+  since,
+  staged = false,
+  tree = true,
+  plugins: onlyPlugins,
+  disablePlugins = [],
+  searchDirs,
+  pairSources = false,
+  cache,
+  cacheDir,
+  jobs,
+  quiet = true
+} = {}) {
+  const warnings = [];
+  const warn = msg => {
+    warnings.push(msg);
+    if (!quiet) console.warn(`⚠️  ${msg}`);
+  };
+
+  const INPUTS = inputs.map(p => resolve(cwd, p));
+  for (const inputPath of INPUTS) {
+    if (!existsSync(inputPath)) {
+      throw new Error(`Input path does not exist: ${inputPath}`);
+    }
+  }
+
+  const plugins = await loadPlugins(PLUGIN_DIR, quiet, { only: onlyPlugins, disable: disablePlugins });
+  const { scanners, resolvers, ALL_EXT, fingerprints } = plugins;
+  const loaded = new Set([...scanners.values()].map(p => p.name));
+  for (const name of onlyPlugins || []) {
+    if (!loaded.has(name)) warn(`Unknown plugin: ${name}`);
+  }
+
+  /* project root and path aliases ---------------------------------------- */
+  const { root: projectRoot, kind: rootKind } = findProjectRoot(INPUTS[0]);
+  if (!quiet) {
+    const label = { repository: 'Repository root detected as', project: 'Project root detected as', input: 'Using input directory as project root' };
+    console.error(`[scanex] ${label[rootKind]}: ${projectRoot}`);
+  }
+
+  const { aliasConfig, configBasePath } = loadAliasConfig(INPUTS, projectRoot, { quiet, warn });
+
+  // .gitignore files only prune the directory walk; the user's patterns and
+  // .scanexignore files apply to every file, however it was found
+  const filter = createPathFilter(projectRoot, {
+    exclude,
+    include,
+    quiet,
+    onLoad: (count, path) => log(`Loading ${count} patterns from ${relative(projectRoot, path)}`)
+  });
+
+  /* persistent cache ----------------------------------------------------- */
+  // Resolutions are only reused while everything they depend on is the
+  // same: path aliases, search dirs, the extensions tried for relative
+  // imports, every loaded plug-in, and the config files plug-ins declare
+  // in `configFiles` (go.mod, composer.json, ...), wherever they are in the
+  // project: nested modules and workspace members have their own. The
+  // mtimes of the project's directories are part of it too: a file added
+  // or removed anywhere can outrank a cached target (`foo.ts` next to
+  // `foo.js`, a module in an earlier search dir, a psr-4 prefix or alias
+  // target), and only the resolvers know which directories they tried.
+  let scanCache = null;
+  if (cacheDir) {
+    const names = resolvers.flatMap(r => r.configFiles || []);
+    const baseNames = new Set(names.map(name => basename(name)));
+    // Ignored ones too when they are where plug-ins look (build/ is usually
+    // ignored, but compile_commands.json is read from there)
+    const paths = new Set(names.map(name => join(projectRoot, name)).filter(existsSync));
+    const dirs = new Set([projectRoot]);
+    const inCacheDir = path => path.startsWith(resolve(cacheDir) + sep);
+    for (const path of walk(projectRoot, createPathFilter(projectRoot, { exclude }), projectRoot, { quiet: true })) {
+      if (baseNames.has(basename(path))) paths.add(path);
+      if (!inCacheDir(path)) dirs.add(dirname(path));
+    }
+    const rel = path => relative(projectRoot, path).split(sep).join('/');
+    const configFiles = [...paths].sort().map(path => [rel(path), hash(readFileSync(path))]);
+    const directories = [...dirs].sort().map(dir => [rel(dir), statSync(dir).mtimeMs]);
+    const resolverKey = hash(JSON.stringify({
+      aliasConfig,
+      configBasePath: relative(projectRoot, configBasePath),
+      searchDirs: searchDirs ?? null,
+      exts: ALL_EXT,
+      plugins: [...fingerprints].sort(),
+      configFiles,
+      directories
+    }));
+    scanCache = openScanCache(cacheDir, { projectRoot, resolverKey });
+  }
+
+  /* resolve an import spec to file paths --------------------------------- */
+  // Returns the targets and the name of the plugin that resolved them
+  // ('relative' for the built-in './foo' handling), or null. A plug-in's
+  // resolve() returns one path, or an array of paths for a spec naming a
+  // whole package (every file of a Go package, say). Those are never cached:
+  // a package can gain a file without any of its files changing.
+  function resolveSpec(spec, file) {
+    const cached = scanCache?.getResolution(file, spec);
+    if (cached) return { targets: [cached.target], resolver: cached.resolver };
+    const resolution = resolveUncached(spec, file);
+    if (resolution?.single) {
+      scanCache?.setResolution(file, spec, { target: resolution.targets[0], resolver: resolution.resolver });
+    }
+    return resolution;
+  }
+
+  function resolveUncached(spec, file) {
+    // Handle both string specs (JavaScript) and object specs (Ruby)
+    const specValue = typeof spec === 'string' ? spec : spec.value;
+
+    /* relative ('./foo') */
+    if (specValue.startsWith('.')) {
+      const base = resolve(dirname(file), specValue);
+      const target = ALL_EXT.map(e => base.endsWith(e) ? base : base + e)
+                            .find(existsSync);
+      if (target) return { targets: [target], resolver: 'relative', single: true };
+    }
+
+    /* plug-in custom resolver */
+    // The importing file's own plug-in goes first: the others try any spec
+    // they are given as a path (the CSS resolver maps Rust's `mod util` to
+    // the src/util directory), so they must not get ahead of it
+    const own = scanners.get(getFileExtension(file, ALL_EXT));
+    for (const r of resolvers.includes(own) ? [own, ...resolvers.filter(r => r !== own)] : resolvers) {
+      const resolved = r.resolve?.(spec, {
+        projectRoot, aliasConfig, configBasePath, file, pairSources,
+        searchDirs: searchDirsFor(searchDirs, r.name)
+      });
+      // An empty array resolves the spec to nothing, not to a missing file
+      if (resolved) {
+        return { targets: [].concat(resolved), resolver: r.name, single: !Array.isArray(resolved) };
+      }
+    }
+
+    return null;
+  }
+
+  /* why a spec did not resolve ------------------------------------------ */
+  // 'alias miss' when it starts with a tsconfig/jsconfig path alias,
+  // 'stdlib' for the standard library of the importer's language (a plug-in
+  // with an isStdlib(spec) export), 'external package' for package names
+  // (bare imports, Ruby gems and requires), 'not found' for paths and
+  // everything else
+  const aliasPrefixes = Object.keys(aliasConfig?.compilerOptions?.paths || {})
+    .map(alias => alias.replace(/\*$/, ''))
+    .filter(Boolean);
+
+  function classifyUnresolved(spec, plugin) {
+    const specValue = typeof spec === 'string' ? spec : spec.value;
+    if (aliasPrefixes.some(prefix => specValue === prefix.replace(/\/$/, '') || specValue.startsWith(prefix))) {
+      return 'alias miss';
+    }
+    if (plugin.isStdlib?.(spec)) return 'stdlib';
+    if (specValue.startsWith('.') || specValue.startsWith('/')) return 'not found';
+    if (typeof spec === 'string' || PACKAGE_SPEC_TYPES.has(spec.type)) return 'external package';
+    // A namespaced Ruby constant (ActiveRecord::Base) the project does not
+    // define comes from a gem
+    if (spec.type === 'constant' && specValue.includes('::')) return 'external package';
+    return 'not found';
+  }
+
+  /* parse files into specs ---------------------------------------------- */
+  // Looks each file up in the caches first; the rest are parsed on the main
+  // thread, or spread over the worker pool when there are enough of them.
+  // Returns a Map of file -> specs, or the Error reading or parsing it hit.
+  const workers = jobCount(jobs);
+  let pool = null;
+
+  async function scanFiles(files) {
+    const results = new Map();
+    const toParse = [];
+    const stats = new Map();
+
+    for (const file of files) {
+      const scanner = scanners.get(getFileExtension(file, ALL_EXT));
+      if (!scanner) {
+        results.set(file, []);
+        continue;
+      }
+      try {
+        if (cache) {
+          const stat = statSync(file);
+          const hit = cache.get(file);
+          if (hit && hit.size === stat.size && hit.mtimeMs === stat.mtimeMs && hit.plugin === scanner.name) {
+            results.set(file, hit.specs);
+            continue;
+          }
+          stats.set(file, stat);
+        }
+
+        const src = readFileSync(file, 'utf8');
+        const contentHash = scanCache ? hash(src) : null;
+        const cached = scanCache?.getSpecs(file, contentHash, fingerprints.get(scanner.name));
+        if (cached) {
+          results.set(file, cached);
+        } else {
+          toParse.push({ file, src, scanner, contentHash });
+        }
+      } catch (e) {
+        results.set(file, e);
+      }
+    }
+
+    let parsed;
+    if (workers > 1 && toParse.length > 1) {
+      pool ??= createScanPool({ jobs: workers, pluginDir: PLUGIN_DIR, only: onlyPlugins, disable: disablePlugins });
+      parsed = await pool.parse(toParse);
+    } else {
+      parsed = toParse.map(() => null);
+    }
+
+    toParse.forEach(({ file, src, scanner, contentHash }, i) => {
+      // Parse here when there is no pool or its worker failed
+      const specs = Array.isArray(parsed[i]) ? parsed[i] : scanner.scan(src, { file });
+      scanCache?.setSpecs(file, contentHash, fingerprints.get(scanner.name), specs);
+      results.set(file, specs);
+    });
+
+    for (const [file, { size, mtimeMs }] of stats) {
+      const plugin = scanners.get(getFileExtension(file, ALL_EXT)).name;
+      if (Array.isArray(results.get(file))) cache.set(file, { size, mtimeMs, plugin, specs: results.get(file) });
+    }
+    return results;
+  }
+
+  /* seed queue ----------------------------------------------------------- */
+  const queue = [];
+  let gitChanges = null;
+
+  if (since || staged) {
+    // Changed files inside the inputs become the seeds; deleted ones can't
+    // be read, so they are only reported
+    const repoRoot = findRepositoryRoot(INPUTS[0]);
+    if (!repoRoot) {
+      throw new Error(`${staged ? '--staged' : '--since'} needs a git repository, none found above ${INPUTS[0]}`);
+    }
+    const changes = changedFiles(repoRoot, { since, staged });
+    const inInputs = f => INPUTS.some(p => f === p || f.startsWith(p + sep));
+    gitChanges = {
+      ref: staged ? null : since,
+      staged,
+      changed: changes.changed.filter(inInputs),
+      deleted: changes.deleted.filter(inInputs),
+      renamed: changes.renamed.filter(r => inInputs(r.to))
+    };
+    for (const f of gitChanges.changed) {
+      if (!filter.accepts(f)) continue;
+      if (!existsSync(f)) {
+        warn(`Changed file is missing from the working tree: ${relative(projectRoot, f)}`);
+        continue;
+      }
+      if (statSync(f).isFile()) queue.push(f);
+    }
+    if (queue.length === 0) warn('No changed files to scan');
+  } else {
+    for (const p of INPUTS) queue.push(...walk(p, filter, projectRoot, { quiet }));
+  }
+
+  const visited = new Set(queue.filter(f => ALL_EXT.includes(getFileExtension(f, ALL_EXT))));
+  const seeds = new Set(visited);
+
+  // Hop distance from the seed inputs and the file that first pulled each
+  // dependency in; BFS order guarantees both describe a shortest path
+  const depths = new Map(queue.map(f => [f, 0]));
+  const parents = new Map();
+  const edges = [];
+  const unresolved = [];
+  const dependentOf = new Map();   // see "dependents" below
+
+  // Workers are shut down however scanning ends
+  try {
+    /* BFS over imports --------------------------------------------------- */
+    // Level by level: everything queued so far is the next frontier. It is
+    // parsed as one batch (in parallel with --jobs), then resolved in queue
+    // order, which visits files exactly as a one-at-a-time BFS would.
+    if (deps !== false) {
+      let i = 0;
+      while (i < queue.length) {
+        const frontier = queue.slice(i).filter(f => depth === undefined || depths.get(f) < depth);
+        const specsByFile = await scanFiles(frontier);
+
+        for (const end = queue.length; i < end; i++) {
+          const file = queue[i];
+          if (depth !== undefined && depths.get(file) >= depth) continue;
+
+          const specs = specsByFile.get(file);
+          if (specs instanceof Error) throw specs;
+          for (const spec of specs) {
+            const resolution = resolveSpec(spec, file);
+            if (!resolution) {
+              const plugin = scanners.get(getFileExtension(file, ALL_EXT));
+              unresolved.push({ file, spec, plugin: plugin.name, reason: classifyUnresolved(spec, plugin) });
+              continue;
+            }
+            const { targets, resolver } = resolution;
+            for (const target of targets) {
+              if (!filter.accepts(target)) continue;
+              if (visited.has(target)) {
+                edges.push({ from: file, to: target, spec, resolver });
+                continue;
+              }
+
+              // Safety check: ensure target is a file, not a directory
+              try {
+                const stat = statSync(target);
+                if (stat.isFile()) {
+                  visited.add(target);
+                  queue.push(target);
+                  depths.set(target, depths.get(file) + 1);
+                  parents.set(target, file);
+                  edges.push({ from: file, to: target, spec, resolver });
+                  if (!quiet) log('⊕', relative(projectRoot, target));
+                } else if (stat.isDirectory()) {
+                  warn(`Skipping directory: ${relative(projectRoot, target)}`);
+                }
+              } catch (e) {
+                // File doesn't exist or can't be accessed
+                warn(`Skipping invalid path: ${relative(projectRoot, target)} (${e.message})`);
+              }
+            }
+          }
+        }
+      }
+    }
+
+    /* dependents: reverse BFS over the project's import graph ------------ */
+    // Files that import the inputs, directly or transitively, mapped to the
+    // file they import on the way there. The whole project has to be scanned
+    // to find them, so this is opt-in.
+    if (dependents) {
+      const importers = new Map();   // target -> Map of importing file -> edge
+      let edgeCount = 0;
+
+      const projectFiles = walk(projectRoot, filter, projectRoot, { quiet });
+      const specsByFile = await scanFiles(projectFiles);
+      for (const file of projectFiles) {
+        const specs = specsByFile.get(file);
+        if (specs instanceof Error) continue;
+        for (const spec of specs) {
+          const resolution = resolveSpec(spec, file);
+          if (!resolution) continue;
+          const { targets, resolver } = resolution;
+          for (const target of targets) {
+            if (target === file || !filter.accepts(target)) continue;
+            if (!importers.has(target)) importers.set(target, new Map());
+            if (!importers.get(target).has(file)) {
+              importers.get(target).set(file, { from: file, to: target, spec, resolver });
+              edgeCount++;
+            }
+          }
+        }
+      }
+      if (!quiet) log('graph', `${edgeCount} imports between project files`);
+
+      const seen = new Set(edges.map(e => `${e.from}\0${e.to}`));
+      const reverseDepths = new Map([...seeds].map(f => [f, 0]));
+      const reverseQueue = [...seeds];
+      for (let i = 0; i < reverseQueue.length; i++) {
+        const file = reverseQueue[i];
+        const reverseDepth = reverseDepths.get(file);
+        if (dependentsDepth !== undefined && reverseDepth >= dependentsDepth) continue;
+
+        const fileImporters = importers.get(file) || new Map();
+        for (const importer of [...fileImporters.keys()].sort()) {
+          if (reverseDepths.has(importer)) continue;
+          reverseDepths.set(importer, reverseDepth + 1);
+          reverseQueue.push(importer);
+          if (!seen.has(`${importer}\0${file}`)) edges.push(fileImporters.get(importer));
+
+          // Files already pulled in by forward mode keep their own distance
+          if (!visited.has(importer)) {
+            visited.add(importer);
+            depths.set(importer, reverseDepth + 1);
+            dependentOf.set(importer, file);
+            if (!quiet) log('⊖', relative(projectRoot, importer));
+          }
+        }
+      }
+    }
+  } finally {
+    await pool?.close();
+  }
+
+  if (scanCache) {
+    scanCache.save();
+    const { hits, misses } = scanCache.stats;
+    if (!quiet && hits + misses > 0) log('cache', `${hits} of ${hits + misses} files reused from ${cacheDir}`);
+  }
+
+  /* structured result ---------------------------------------------------- */
+  const sorted = [...visited].sort();
+  const files = sorted.map(f => ({
+    path: f,
+    relPath: relative(projectRoot, f),
+    ext: getFileExtension(f, ALL_EXT),
+    plugin: scanners.get(getFileExtension(f, ALL_EXT))?.name ?? null,
+    depth: depths.get(f) ?? 0,
+    seed: seeds.has(f),
+    parent: parents.get(f) ?? null,
+    dependentOf: dependentOf.get(f) ?? null
+  }));
+
+  return {
+    projectRoot,
+    rootKind,
+    inputs: INPUTS,
+    files,
+    edges,
+    unresolved,
+    warnings,
+    git: gitChanges,
+    tree: tree !== false ? makeTree([...visited].map(f => relative(projectRoot, f))) : ''
+  };
+}
@@ -0,0 +1,151 @@
+// lib/slice.js
+import { readFileSync } from 'node:fs';
+
+import { loadPlugins, getFileExtension, PLUGIN_DIR } from './core.js';
+import { PLACEHOLDER } from './outline.js';
+
+/* helpers for plug-in slice() functions ---------------------------------- */
+// Keeps the top-level statements that declare `names`, and transitively
+// every top-level declaration those statements reference. `describe(node)`
+// tells, for one top-level statement:
+//   defines   names it declares
+//   uses      identifiers it references (a superset is fine)
+//   extends   a name it adds to (`Foo.prototype.bar = ...`): kept with it
+//   keep      always kept (directives, side-effect imports, docstrings)
+// Comments directly above a statement stay with it; each run of dropped
+// statements becomes one `<comment> …` line. Returns null when one of
+// `names` is not declared at the top level: the caller should then bundle
+// the whole file rather than guess.
+export function sliceDeclarations(src, root, { names, describe, comment }) {
+  const statements = [];
+  let leading = null;
+  let lastComment = null;
+
+  for (const node of root.namedChildren) {
+    if (node.type === 'comment') {
+      const attached = lastComment && lastComment.endPosition.row + 1 >= node.startPosition.row;
+      if (!attached) leading = node;
+      lastComment = node;
+      continue;
+    }
+    const attached = lastComment && lastComment.endPosition.row + 1 >= node.startPosition.row;
+    const start = attached ? leading.startIndex : node.startIndex;
+    statements.push({ start, end: node.endIndex, ...describe(node) });
+    leading = lastComment = null;
+  }
+
+  const definedBy = new Map();
+  const extendedBy = new Map();
+  const index = (map, name, i) => map.has(name) ? map.get(name).push(i) : map.set(name, [i]);
+  statements.forEach((s, i) => {
+    for (const name of s.defines || []) index(definedBy, name, i);
+    if (s.extends) index(extendedBy, s.extends, i);
+  });
+  if (names.some(name => !definedBy.has(name))) return null;
+
+  const kept = new Set();
+  const keptNames = new Set();
+  const queue = [...names];
+  const keepStatement = i => {
+    if (kept.has(i)) return;
+    kept.add(i);
+    queue.push(...(statements[i].uses || []));
+  };
+  statements.forEach((s, i) => s.keep && keepStatement(i));
+  while (queue.length > 0) {
+    const name = queue.pop();
+    if (keptNames.has(name)) continue;
+    keptNames.add(name);
+    for (const i of definedBy.get(name) || []) keepStatement(i);
+    for (const i of extendedBy.get(name) || []) keepStatement(i);
+  }
+  if (kept.size === statements.length) return src;
+
+  const marker = `${comment} ${PLACEHOLDER}`;
+  let out = '';
+  let previous = -1;
+  for (let i = 0; i < statements.length; i++) {
+    if (!kept.has(i)) continue;
+    if (previous === -1) {
+      out += i > 0 ? `${marker}\n\n` : src.slice(0, statements[i].start);
+    } else {
+      out += previous === i - 1 ? src.slice(statements[previous].end, statements[i].start) : `\n\n${marker}\n\n`;
+    }
+    out += src.slice(statements[i].start, statements[i].end);
+    previous = i;
+  }
+  if (previous < statements.length - 1) out += previous === -1 ? marker : `\n\n${marker}`;
+  return out + '\n';
+}
+
+/* slice files for the bundle --------------------------------------------- */
+// Cuts each dependency down to the top-level declarations the files
+// importing it use, plus whatever those declarations need. A dependency is
+// only sliced when every bundled file importing it names what it imports
+// (`import { a } from`, `from x import a`); namespace imports, `require()`,
+// importers in languages without importedNames(), and names the slicer
+// can't find all leave the file whole. Input files and files found through
+// --dependents are never sliced. Files are handled nearest first, so an
+// importer that was sliced itself only asks for what its slice still uses;
+// a file whose every import was sliced away keeps only what is always kept.
+// Returns a Map of file -> sliced text.
+export async function sliceFiles(result, { contents = new Map(), plugins, disablePlugins = [] } = {}) {
+  const { scanners, ALL_EXT } = await loadPlugins(PLUGIN_DIR, true, { only: plugins, disable: disablePlugins });
+  const pluginFor = file => scanners.get(getFileExtension(file, ALL_EXT));
+  const sliced = new Map();
+  const textOf = file => sliced.get(file) ?? contents.get(file) ?? readFileSync(file, 'utf8');
+
+  const importsCache = new Map();
+  function importsOf(file) {
+    if (!importsCache.has(file)) {
+      let imports = null;
+      try {
+        imports = pluginFor(file)?.importedNames?.(textOf(file), { file }) ?? null;
+      } catch (e) {
+        // Unparseable importers import everything
+      }
+      importsCache.set(file, imports);
+    }
+    return importsCache.get(file);
+  }
+
+  const bundled = new Set(result.files.map(f => f.path));
+  const incoming = new Map();
+  for (const edge of result.edges) {
+    if (!bundled.has(edge.from)) continue;
+    if (!incoming.has(edge.to)) incoming.set(edge.to, []);
+    incoming.get(edge.to).push(edge);
+  }
+
+  const candidates = result.files
+    .filter(f => !f.seed && !f.dependentOf && pluginFor(f.path)?.slice)
+    .sort((a, b) => a.depth - b.depth || a.path.localeCompare(b.path));
+
+  for (const { path } of candidates) {
+    const names = new Set();
+    let whole = (incoming.get(path) || []).length === 0;
+    let needed = false;
+    for (const { from, spec } of incoming.get(path) || []) {
+      const imports = typeof spec === 'string' ? importsOf(from) : null;
+      // The importer's slice dropped the import: it needs nothing from here
+      if (sliced.has(from) && imports && !imports.has(spec)) continue;
+      needed = true;
+      const used = imports?.get(spec);
+      if (!used) {
+        whole = true;
+        break;
+      }
+      for (const name of used) names.add(name);
+    }
+    if (whole || (needed && names.size === 0)) continue;
+
+    try {
+      const src = textOf(path);
+      const text = pluginFor(path).slice(src, { file: path, names: [...names] });
+      if (text && text !== src) sliced.set(path, text);
+    } catch (e) {
+      // Unparseable files are bundled in full
+    }
+  }
+  return sliced;
+}
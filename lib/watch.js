@@ -0,0 +1,79 @@
+// lib/watch.js
+import { watch } from 'node:fs';
+import { join } from 'node:path';
+
+/* debounced directory watcher -------------------------------------------- */
+// Watches a set of directories (not files: editors that save by renaming a
+// temporary file would silently end a per-file watch) and calls
+// `onChange(events)` once things have been quiet for `debounce` ms, with
+// one { path, type } per path that changed; `type` is 'rename' when an
+// entry was created or removed. Calls never overlap: changes arriving
+// during a slow onChange are delivered in the next call.
+export function createWatcher({ onChange, debounce = 300, onError } = {}) {
+  const watchers = new Map();
+  let pending = new Map();
+  let timer = null;
+  let running = false;
+
+  function schedule() {
+    clearTimeout(timer);
+    timer = setTimeout(flush, debounce);
+  }
+
+  async function flush() {
+    if (running) {
+      schedule();
+      return;
+    }
+    const events = [...pending.entries()].map(([path, type]) => ({ path, type }));
+    pending = new Map();
+    if (events.length === 0) return;
+
+    running = true;
+    try {
+      await onChange(events);
+    } catch (e) {
+      onError?.(e);
+    } finally {
+      running = false;
+    }
+  }
+
+  function add(dir) {
+    if (watchers.has(dir)) return;
+    try {
+      const watcher = watch(dir, (type, name) => {
+        if (!name) return;
+        const path = join(dir, name.toString());
+        // A rename seen anywhere in the batch wins over plain changes
+        if (pending.get(path) !== 'rename') pending.set(path, type);
+        schedule();
+      });
+      watcher.on('error', () => remove(dir));
+      watchers.set(dir, watcher);
+    } catch (e) {
+      // The directory vanished between the scan and now
+    }
+  }
+
+  function remove(dir) {
+    watchers.get(dir)?.close();
+    watchers.delete(dir);
+  }
+
+  // Watch exactly these directories from now on
+  function update(dirs) {
+    const wanted = new Set(dirs);
+    for (const dir of [...watchers.keys()]) {
+      if (!wanted.has(dir)) remove(dir);
+    }
+    for (const dir of wanted) add(dir);
+  }
+
+  function close() {
+    clearTimeout(timer);
+    for (const dir of [...watchers.keys()]) remove(dir);
+  }
+
+  return { update, close, get size() { return watchers.size; } };
+}
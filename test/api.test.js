@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { join } from 'node:path';
+
+import * as api from 'scanex';
+import { scan } from '../lib/scan.js';
+import { repo, scanex } from './helpers.js';
+
+const PROJECT = {
+  'src/main.js': "import { helper } from './helper.js';\nimport 'left-pad';\n",
+  'src/helper.js': 'export const helper = 1;\n'
+};
+
+test('the package entry point exports the library', () => {
+  for (const name of ['scan', 'bundle', 'bundleJson', 'makeTree', 'walk', 'loadPlugins']) {
+    assert.equal(typeof api[name], 'function', name);
+  }
+  assert.equal(api.scan, scan);
+});
+
+test('scan() returns the files, edges and unresolved imports it found', async t => {
+  const root = repo(t, PROJECT);
+  const main = join(root, 'src/main.js');
+  const helper = join(root, 'src/helper.js');
+  const result = await scan({ inputs: ['src/main.js'], cwd: root });
+
+  assert.deepEqual(Object.keys(result).sort(),
+    ['edges', 'files', 'git', 'inputs', 'projectRoot', 'rootKind', 'tree', 'unresolved', 'warnings']);
+  assert.equal(result.projectRoot, root);
+  assert.equal(result.rootKind, 'repository');
+  assert.deepEqual(result.inputs, [main]);
+  assert.deepEqual(result.files, [
+    { path: helper, relPath: 'src/helper.js', ext: '.js', plugin: 'javascript', depth: 1, seed: false, parent: main, dependentOf: null },
+    { path: main, relPath: 'src/main.js', ext: '.js', plugin: 'javascript', depth: 0, seed: true, parent: null, dependentOf: null }
+  ]);
+  assert.deepEqual(result.edges, [{ from: main, to: helper, spec: './helper.js', resolver: 'relative' }]);
+  assert.deepEqual(result.unresolved, [{ file: main, spec: 'left-pad', plugin: 'javascript', reason: 'external package' }]);
+  assert.deepEqual(result.warnings, []);
+  assert.match(result.tree, /main\.js/);
+});
+
+test('scan() rejects missing inputs', async t => {
+  const root = repo(t, PROJECT);
+  await assert.rejects(scan({ inputs: ['nope.js'], cwd: root }), /Input path does not exist/);
+});
+
+test('scan() is silent unless quiet is turned off', t => {
+  const root = repo(t, PROJECT);
+  const stderr = quiet => spawnSync(process.execPath, ['--input-type=module', '-e',
+    `import { scan } from ${JSON.stringify(new URL('../lib/index.js', import.meta.url).href)};
+     await scan({ inputs: ['src/main.js'], quiet: ${quiet} });`
+  ], { cwd: root, encoding: 'utf8' }).stderr;
+  assert.equal(stderr(true), '');
+  assert.match(stderr(false), /\[scanex\] Repository root detected as/);
+  assert.match(scanex(root, ['src/main.js']).stderr, /\[scanex\] Repository root detected as/);
+});
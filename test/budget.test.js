@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'node:path';
+
+import { fitToBudget } from '../lib/budget.js';
+import { fixture, scanex } from './helpers.js';
+
+test('files are measured as the JSON output renders them', t => {
+  // Quotes and newlines are escaped in JSON, so it costs more than Markdown
+  const root = fixture(t, { 'a.js': '', 'b.js': '"x"\n'.repeat(300) });
+  const [a, b] = [join(root, 'a.js'), join(root, 'b.js')];
+  const options = { root, seeds: new Set([a]), depths: new Map([[a, 0], [b, 1]]), maxTokens: 1500 };
+
+  assert.equal(fitToBudget([a, b], { ...options, format: 'markdown' }).collapsed.size, 0);
+  assert.deepEqual([...fitToBudget([a, b], { ...options, format: 'json' }).collapsed.keys()], [b]);
+});
+
+test('the overhead is measured again for the files left after dropping', t => {
+  const root = fixture(t, { 'a.js': '', 'b.js': '', 'c.js': '' });
+  const [a, b, c] = ['a.js', 'b.js', 'c.js'].map(f => join(root, f));
+  const fit = fitToBudget([a, b, c], {
+    root, seeds: new Set([a]), depths: new Map([[a, 0], [b, 1], [c, 2]]), maxTokens: 250,
+    // A tree line per file, say
+    overhead: kept => 100 * kept.length
+  });
+  assert.deepEqual(fit.dropped.map(d => d.file), [c]);
+  assert.deepEqual(fit.files, [a, b]);
+  assert.ok(fit.fits);
+});
+
+test('--max-tokens leaves dropped files out of the directory tree', t => {
+  const root = fixture(t, {
+    'package.json': '{}',
+    'a.js': "import './b.js';\n" + 'const x = 1;\n'.repeat(200),
+    'b.js': 'export const y = 2;\n'
+  });
+  const { status, stdout } = scanex(root, ['a.js', '-q', '--max-tokens', '10']);
+  assert.equal(status, 0);
+  const tree = stdout.match(/<directory_tree>([\s\S]*?)<\/directory_tree>/)[1];
+  assert.match(tree, /a\.js/);
+  assert.doesNotMatch(tree, /b\.js/);
+  assert.doesNotMatch(stdout, /#### `b\.js`/);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { repo, scanex } from './helpers.js';
+
+const PROJECT = {
+  'src/main.cpp': '#include "foo.h"\nint main() { return foo(); }\n',
+  'src/foo.h': 'int foo();\n',
+  'src/foo.c': 'int foo() { return 0; }\n'
+};
+
+const bundled = stdout => JSON.parse(stdout).files.map(f => f.path).sort();
+
+test('headers are only paired with their sources on request', t => {
+  const root = repo(t, PROJECT);
+  const plain = scanex(root, ['src/main.cpp', '-q', '-f', 'json']);
+  assert.equal(plain.status, 0);
+  assert.deepEqual(bundled(plain.stdout), ['src/foo.h', 'src/main.cpp']);
+
+  const paired = scanex(root, ['src/main.cpp', '-q', '-f', 'json', '--pair-sources']);
+  assert.deepEqual(bundled(paired.stdout), ['src/foo.c', 'src/foo.h', 'src/main.cpp']);
+});
+
+test('pairSources can be turned on in the config file', t => {
+  const root = repo(t, { ...PROJECT, '.scanexrc': '{ "pairSources": true }' });
+  const { status, stdout } = scanex(root, ['src/main.cpp', '-q', '-f', 'json']);
+  assert.equal(status, 0);
+  assert.deepEqual(bundled(stdout), ['src/foo.c', 'src/foo.h', 'src/main.cpp']);
+});
+
+test('unpaired headers are not reported as unresolved', t => {
+  const root = repo(t, PROJECT);
+  const { stdout } = scanex(root, ['src/main.cpp', '-q', '-f', 'json']);
+  assert.deepEqual(JSON.parse(stdout).unresolved, []);
+});
+
+test('C and C++ files are fenced with their language', t => {
+  const root = repo(t, PROJECT);
+  const { stdout } = scanex(root, ['src/main.cpp', '-q', '--pair-sources']);
+  assert.match(stdout, /#### `src\/main\.cpp`\n```cpp\n/);
+  assert.match(stdout, /#### `src\/foo\.h`\n```c\n/);
+  assert.match(stdout, /#### `src\/foo\.c`\n```c\n/);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+import { openScanCache } from '../lib/cache.js';
+import { scan } from '../lib/scan.js';
+import { fixture, scanex } from './helpers.js';
+
+// A cache with `spec` of src/app.js resolved to `target`, saved; reopen()
+// takes the resolver key to reopen it with
+function cachedResolution(t, root, spec, target) {
+  const dir = fixture(t);
+  const file = join(root, 'src/app.js');
+  const cache = openScanCache(dir, { projectRoot: root, resolverKey: 'k' });
+  cache.setSpecs(file, 'h', 'p', [spec]);
+  cache.setResolution(file, spec, { target: join(root, target), resolver: 'relative' });
+  cache.save();
+  return (resolverKey = 'k') => openScanCache(dir, { projectRoot: root, resolverKey }).getResolution(file, spec);
+}
+
+test('a cached resolution is reused while the resolver key matches', t => {
+  const root = fixture(t, { 'src/app.js': '', 'src/foo.js': '' });
+  const reopen = cachedResolution(t, root, './foo', 'src/foo.js');
+  assert.deepEqual(reopen(), { target: join(root, 'src/foo.js'), resolver: 'relative' });
+  assert.equal(reopen('changed'), null);
+});
+
+test('a cached resolution to a deleted file is dropped', t => {
+  const root = fixture(t, { 'src/app.js': '', 'src/foo.js': '' });
+  const reopen = cachedResolution(t, root, './foo', 'src/foo.js');
+  rmSync(join(root, 'src/foo.js'));
+  assert.equal(reopen(), null);
+});
+
+test('scan() picks up a higher-priority candidate created after a cached run', async t => {
+  const root = fixture(t, {
+    'package.json': '{}',
+    'src/app.js': "import { foo } from './foo';\n",
+    'src/foo.ts': 'export const foo = 1;\n'
+  });
+  const cacheDir = fixture(t);
+  const paths = result => result.files.map(f => f.path);
+  const first = await scan({ inputs: ['src/app.js'], cwd: root, cacheDir, tree: false });
+  assert.ok(paths(first).includes(join(root, 'src/foo.ts')));
+
+  // .js is tried before .ts
+  writeFileSync(join(root, 'src/foo.js'), 'export const foo = 2;\n');
+  const second = await scan({ inputs: ['src/app.js'], cwd: root, cacheDir, tree: false });
+  assert.ok(paths(second).includes(join(root, 'src/foo.js')));
+  assert.ok(!paths(second).includes(join(root, 'src/foo.ts')));
+});
+
+test('scan() picks up a module created in a directory searched before the cached one', async t => {
+  const root = fixture(t, {
+    'requirements.txt': '',
+    'pkg/main.py': 'import helpers\n',
+    'pkg/helpers.py': 'NAME = "pkg"\n',
+    'src/other.py': ''
+  });
+  const cacheDir = fixture(t);
+  const paths = async () =>
+    (await scan({ inputs: ['pkg/main.py'], cwd: root, cacheDir, tree: false })).files.map(f => f.relPath).sort();
+  assert.deepEqual(await paths(), ['pkg/helpers.py', 'pkg/main.py']);
+
+  // src/ is searched before the importing file's directory
+  writeFileSync(join(root, 'src/helpers.py'), 'NAME = "src"\n');
+  assert.deepEqual(await paths(), ['pkg/main.py', 'src/helpers.py']);
+});
+
+test('editing a nested manifest drops the cached resolutions', async t => {
+  const root = fixture(t, {
+    'package.json': '{}',
+    'src/app.js': "import './b';\n",
+    'src/b.js': '',
+    'services/api/go.mod': 'module example.com/api\n'
+  });
+  const cacheDir = fixture(t);
+  const resolverKey = () => JSON.parse(readFileSync(join(cacheDir, 'scan-cache.json'), 'utf8')).resolverKey;
+
+  await scan({ inputs: ['src/app.js'], cwd: root, cacheDir, tree: false });
+  const before = resolverKey();
+  writeFileSync(join(root, 'services/api/go.mod'), 'module example.com/renamed\n');
+  await scan({ inputs: ['src/app.js'], cwd: root, cacheDir, tree: false });
+  assert.notEqual(resolverKey(), before);
+});
+
+test('the CLI only writes the cache with --cache or --cache-dir', t => {
+  const root = fixture(t, { 'app.js': "import './b';\n", 'b.js': '' });
+  mkdirSync(join(root, 'node_modules'));
+  const cacheFile = join(root, 'node_modules/.cache/scanex/scan-cache.json');
+
+  assert.equal(scanex(root, ['app.js', '-q']).status, 0);
+  assert.ok(!existsSync(cacheFile));
+
+  assert.equal(scanex(root, ['app.js', '-q', '--cache']).status, 0);
+  assert.ok(existsSync(cacheFile));
+
+  assert.equal(scanex(root, ['app.js', '-q', '--cache-dir', 'elsewhere']).status, 0);
+  assert.ok(existsSync(join(root, 'elsewhere/scan-cache.json')));
+});
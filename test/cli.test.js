@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { repo, scanex } from './helpers.js';
+
+test('bundles the input and the files it imports', t => {
+  const root = repo(t, { 'a.js': "import './b.js';\n", 'b.js': 'export {};\n' });
+  const { status, stdout } = scanex(root, ['a.js', '-q']);
+  assert.equal(status, 0);
+  assert.match(stdout, /#### `a\.js`\n```javascript\nimport '\.\/b\.js';\n```/);
+  assert.match(stdout, /#### `b\.js`\n```javascript\nexport \{\};\n```/);
+});
+
+test('--no-deps bundles the input alone', t => {
+  const root = repo(t, { 'a.js': "import './b.js';\n", 'b.js': 'export {};\n' });
+  const { status, stdout } = scanex(root, ['a.js', '--no-deps', '-q']);
+  assert.equal(status, 0);
+  assert.match(stdout, /#### `a\.js`/);
+  assert.doesNotMatch(stdout, /#### `b\.js`/);
+});
+
+test('modules named by export ... from are bundled', t => {
+  const root = repo(t, {
+    'app.js': "import { a } from './index.js';\n",
+    'index.js': "export { a } from './a.js';\nexport * from './b.js';\n",
+    'a.js': 'export const a = 1;\n',
+    'b.js': 'export const b = 2;\n'
+  });
+  const { status, stdout } = scanex(root, ['app.js', '-q', '-f', 'json']);
+  assert.equal(status, 0);
+  assert.deepEqual(JSON.parse(stdout).files.map(f => f.path).sort(), ['a.js', 'app.js', 'b.js', 'index.js']);
+});
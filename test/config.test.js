@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Option } from 'commander';
+
+import { configValue, checkSearchDirs } from '../lib/config.js';
+import { repo, scanex } from './helpers.js';
+
+const list = v => v.split(',').map(s => s.trim()).filter(Boolean);
+
+test('configValue parses values like the command line does', () => {
+  const depth = new Option('-d, --depth <n>').argParser(v => parseInt(v, 10));
+  assert.equal(configValue(depth, 2), 2);
+  assert.equal(configValue(depth, '2'), 2);
+  assert.throws(() => configValue(depth, [2]), /"depth" must be a string or a number/);
+
+  const plugins = new Option('--plugins <names>').argParser(list);
+  assert.deepEqual(configValue(plugins, 'javascript,css', { list: true }), ['javascript', 'css']);
+  assert.deepEqual(configValue(plugins, ['javascript', 'css'], { list: true }), ['javascript', 'css']);
+  assert.throws(() => configValue(plugins, { javascript: true }, { list: true }), /comma-separated/);
+
+  const exclude = new Option('-e, --exclude <glob>');
+  assert.deepEqual(configValue(exclude, 'dist/', { repeatable: true }), ['dist/']);
+  assert.deepEqual(configValue(exclude, [], { repeatable: true }), []);
+  assert.throws(() => configValue(exclude, [1, {}], { repeatable: true }), /list of strings/);
+
+  const quiet = new Option('-q, --quiet');
+  assert.equal(configValue(quiet, true), true);
+  assert.throws(() => configValue(quiet, 'yes'), /"quiet" must be true or false/);
+
+  const baseline = new Option('--fail-on-cycles [baseline]');
+  assert.equal(configValue(baseline, true), true);
+  assert.equal(configValue(baseline, 'cycles.json'), 'cycles.json');
+});
+
+test('checkSearchDirs accepts lists and per-plugin objects only', () => {
+  assert.deepEqual(checkSearchDirs(['lib']), ['lib']);
+  assert.deepEqual(checkSearchDirs({ c: ['include'] }), { c: ['include'] });
+  assert.throws(() => checkSearchDirs('lib'), /searchDirs/);
+  assert.throws(() => checkSearchDirs({ c: 'include' }), /searchDirs/);
+});
+
+test('a comma-separated plugins string from the config is a list, not a substring test', t => {
+  const root = repo(t, {
+    '.scanexrc': JSON.stringify({ plugins: 'javascript,css' }),
+    'src/app.js': "import './style.css';\n",
+    'src/style.css': 'body {}\n',
+    'src/Main.java': 'class Main {}\n'
+  });
+  const { status, stdout, stderr } = scanex(root, ['src', '--no-cache', '-q', '-f', 'json']);
+  assert.equal(status, 0, stderr);
+  // `java` is not a plugin that was asked for, though "javascript,css" contains it
+  assert.deepEqual(JSON.parse(stdout).files.map(f => f.path).sort(), ['src/app.js', 'src/style.css']);
+});
+
+test('config values of the wrong type stop the run', t => {
+  const root = repo(t, { '.scanexrc': JSON.stringify({ depth: [1] }), 'a.js': '' });
+  const { status, stderr } = scanex(root, ['a.js', '--no-cache']);
+  assert.equal(status, 1);
+  assert.match(stderr, /Invalid setting in \.scanexrc: "depth" must be a string or a number/);
+});
+
+test('searchDirs reach the C resolver as include directories', t => {
+  const root = repo(t, {
+    '.scanexrc': JSON.stringify({ searchDirs: { c: ['vendor/include'] } }),
+    'src/main.c': '#include "lib.h"\n',
+    'vendor/include/lib.h': 'int lib(void);\n'
+  });
+  const { status, stdout, stderr } = scanex(root, ['src/main.c', '--no-cache', '-q', '-f', 'json']);
+  assert.equal(status, 0, stderr);
+  assert.deepEqual(JSON.parse(stdout).files.map(f => f.path).sort(), ['src/main.c', 'vendor/include/lib.h']);
+});
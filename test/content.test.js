@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'node:path';
+
+import { classifyFiles, looksMinified } from '../lib/content.js';
+import { fixture, repo, scanex } from './helpers.js';
+
+test('looksMinified handles files with a huge number of lines', () => {
+  assert.equal(looksMinified('select 1;\n'.repeat(300000), 'dump.sql'), false);
+  assert.equal(looksMinified('x'.repeat(3000), 'bundle.js'), true);
+  assert.equal(looksMinified('short', 'app.min.js'), true);
+});
+
+test('classifyFiles marks a 300,000-line file oversized instead of failing', t => {
+  const root = fixture(t, { 'dump.sql': 'insert into t values (1);\n'.repeat(300000) });
+  const file = join(root, 'dump.sql');
+  const { references, oversized } = classifyFiles([file], { maxFileSize: 100 * 1024 });
+  assert.equal(references.size, 0);
+  assert.deepEqual([...oversized], [file]);
+});
+
+test('classifyFiles only sniffs the start of a file', t => {
+  // Minified-looking text past the sniffed prefix doesn't count
+  const root = fixture(t, { 'big.js': 'let a = 1;\n'.repeat(10000) + 'x'.repeat(5000) });
+  const { references } = classifyFiles([join(root, 'big.js')]);
+  assert.equal(references.size, 0);
+});
+
+test('the CLI truncates a huge file rather than crashing', t => {
+  const root = repo(t, { 'dump.sql': 'insert into t values (1);\n'.repeat(300000) });
+  const { status, stdout, stderr } = scanex(root, ['dump.sql', '--no-cache', '-q', '--max-file-size', '10kb']);
+  assert.equal(status, 0, stderr);
+  assert.match(stdout, /lines \(.*\) truncated/);
+});
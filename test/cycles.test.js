@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { repo, scanex } from './helpers.js';
+
+const PROJECT = {
+  'a.js': "import './b.js';\n",
+  'b.js': "import './a.js';\n"
+};
+
+test('--cycles prints the cycle list to stdout even with --quiet', t => {
+  const root = repo(t, PROJECT);
+  const { status, stdout, stderr } = scanex(root, ['a.js', '--cycles', '-q']);
+  assert.equal(status, 0);
+  assert.match(stdout, /^🔁 1 import cycle:/);
+  assert.match(stdout, /a\.js → b\.js/);
+  assert.equal(stderr, '');
+});
+
+test('--cycles says so when there are none', t => {
+  const root = repo(t, { 'a.js': "import './b.js';\n", 'b.js': '' });
+  const { stdout } = scanex(root, ['a.js', '--cycles', '-q']);
+  assert.equal(stdout, '✅ No import cycles\n');
+});
+
+test('--fail-on-cycles alone keeps stdout empty', t => {
+  const root = repo(t, PROJECT);
+  const { status, stdout } = scanex(root, ['a.js', '--fail-on-cycles', '-q']);
+  assert.equal(status, 1);
+  assert.equal(stdout, '');
+});
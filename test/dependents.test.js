@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'node:path';
+
+import { scan } from '../lib/scan.js';
+import { repo, scanex } from './helpers.js';
+
+// a imports b and c, b imports c too, c imports d; e is unrelated
+const PROJECT = {
+  'a.js': "import './b.js';\nimport './c.js';\n",
+  'b.js': "import './c.js';\n",
+  'c.js': "import './d.js';\n",
+  'd.js': 'export {};\n',
+  'e.js': 'export {};\n'
+};
+
+test('importers are collected backwards, each with the file it imports', async t => {
+  const root = repo(t, PROJECT);
+  const { files } = await scan({ inputs: ['d.js'], cwd: root, dependents: true, tree: false });
+  assert.deepEqual(files.map(f => [f.relPath, f.depth, f.dependentOf]), [
+    ['a.js', 2, join(root, 'c.js')],
+    ['b.js', 2, join(root, 'c.js')],
+    ['c.js', 1, join(root, 'd.js')],
+    ['d.js', 0, null]
+  ]);
+});
+
+test('--dependents-depth stops after that many hops of importers', t => {
+  const root = repo(t, PROJECT);
+  const { status, stdout } = scanex(root, ['d.js', '-q', '-f', 'json', '--dependents', '--dependents-depth', '1']);
+  assert.equal(status, 0);
+  assert.deepEqual(JSON.parse(stdout).files.map(f => f.path), ['c.js', 'd.js']);
+});
+
+test('--dependents still follows the inputs\' own imports unless --no-deps is given', t => {
+  const root = repo(t, PROJECT);
+  const bundled = (...args) => JSON.parse(scanex(root, ['c.js', '-q', '-f', 'json', '--dependents', ...args]).stdout)
+    .files.map(f => f.path);
+  assert.deepEqual(bundled(), ['a.js', 'b.js', 'c.js', 'd.js']);
+  assert.deepEqual(bundled('--no-deps'), ['a.js', 'b.js', 'c.js']);
+});
@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'node:path';
+
+import { scan } from '../lib/scan.js';
+import { repo, scanex } from './helpers.js';
+
+// a imports b and c, b imports c too, c imports d
+const PROJECT = {
+  'a.js': "import './b.js';\nimport './c.js';\n",
+  'b.js': "import './c.js';\n",
+  'c.js': "import './d.js';\n",
+  'd.js': 'export {};\n'
+};
+
+test('every file records its hop distance and the file it was first reached from', async t => {
+  const root = repo(t, PROJECT);
+  const { files } = await scan({ inputs: ['a.js'], cwd: root, tree: false });
+  assert.deepEqual(files.map(f => [f.relPath, f.depth, f.parent]), [
+    ['a.js', 0, null],
+    ['b.js', 1, join(root, 'a.js')],
+    ['c.js', 1, join(root, 'a.js')],
+    ['d.js', 2, join(root, 'c.js')]
+  ]);
+});
+
+test('--depth stops following imports after that many hops', t => {
+  const root = repo(t, PROJECT);
+  const bundled = depth => {
+    const { status, stdout } = scanex(root, ['a.js', '-q', '-f', 'json', '--depth', depth]);
+    assert.equal(status, 0);
+    return JSON.parse(stdout).files.map(f => [f.path, f.depth]);
+  };
+  assert.deepEqual(bundled('0'), [['a.js', 0]]);
+  assert.deepEqual(bundled('1'), [['a.js', 0], ['b.js', 1], ['c.js', 1]]);
+  assert.deepEqual(bundled('2'), [['a.js', 0], ['b.js', 1], ['c.js', 1], ['d.js', 2]]);
+});
+
+test('--depth must be a non-negative integer', t => {
+  const root = repo(t, PROJECT);
+  const { status, stderr } = scanex(root, ['a.js', '-q', '--depth', 'two']);
+  assert.notEqual(status, 0);
+  assert.match(stderr, /depth/);
+});
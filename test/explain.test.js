@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { repo, scanex } from './helpers.js';
+
+test('unresolved namespaced Ruby constants are external packages', t => {
+  const root = repo(t, {
+    'Gemfile': "source 'https://rubygems.org'\n",
+    'app/models/user.rb':
+      'class User < ApplicationRecord\n  include Sidekiq::Worker\n  has_many :posts, class_name: Post.name\n' +
+      '  def invoice = Billing::Invoice.new\nend\n',
+    'app/models/billing/invoice.rb': 'module Billing\n  class Invoice; end\nend\n'
+  });
+  const { status, stdout } = scanex(root, ['app/models/user.rb', '-q', '-f', 'json']);
+  assert.equal(status, 0);
+  const { files, unresolved } = JSON.parse(stdout);
+  assert.deepEqual(files.map(f => f.path).sort(), ['app/models/billing/invoice.rb', 'app/models/user.rb']);
+  assert.deepEqual(unresolved.filter(u => u.file === 'app/models/user.rb').map(u => [u.spec.value, u.reason]), [
+    ['Sidekiq::Worker', 'external package'],
+    ['Post', 'not found']
+  ]);
+});
+
+test('--explain reports Python standard library imports as stdlib', t => {
+  const root = repo(t, {
+    'requirements.txt': 'requests\n',
+    'app/main.py': 'import os\nimport json\nimport os.path\nimport requests\nfrom app.util import run\n',
+    'app/util.py': 'def run():\n    pass\n'
+  });
+  const { status, stderr } = scanex(root, ['app/main.py', '--explain']);
+  assert.equal(status, 0);
+  assert.match(stderr, /^ {6}os {39}stdlib$/m);
+  assert.match(stderr, /^ {6}json {37}stdlib$/m);
+  assert.match(stderr, /^ {6}requests {33}external package$/m);
+  assert.match(stderr, /\(1 external package, 3 stdlib\)/);
+  assert.doesNotMatch(stderr, /app\.util/);
+});
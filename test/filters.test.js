@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join, dirname } from 'node:path';
+
+import { createPathFilter, isRegexPattern } from '../lib/filters.js';
+import { fixture } from './helpers.js';
+
+test('plain words keep their case-insensitive substring meaning', t => {
+  const root = fixture(t);
+  const filter = createPathFilter(root, { exclude: ['test', 'spec'] });
+  assert.equal(filter.excludes(join(root, 'src/test_utils.js')), true);
+  assert.equal(filter.excludes(join(root, 'src/Tests.txt')), true);
+  assert.equal(filter.excludes(join(root, 'src/foo.spec.js')), true);
+  assert.equal(filter.excludes(join(root, 'src/foo.js')), false);
+});
+
+test('dots in plain words match only dots', t => {
+  const root = fixture(t);
+  const filter = createPathFilter(root, { exclude: ['.env', 'app.js'] });
+  assert.equal(filter.excludes(join(root, '.env')), true);
+  assert.equal(filter.excludes(join(root, 'config/.env.local')), true);
+  assert.equal(filter.excludes(join(root, 'src/app.js')), true);
+  assert.equal(filter.excludes(join(root, 'xenv')), false);
+  assert.equal(filter.excludes(join(root, 'src/appXjs.ts')), false);
+});
+
+test('patterns with glob syntax are gitignore globs', t => {
+  const root = fixture(t);
+  assert.equal(isRegexPattern('test/'), false);
+  assert.equal(isRegexPattern('*.snap'), false);
+  assert.equal(isRegexPattern('!keep.js'), false);
+  assert.equal(isRegexPattern('test|spec'), true);
+  assert.equal(isRegexPattern('node_modules'), true);
+
+  const filter = createPathFilter(root, { exclude: ['test/', 'fixtures/*', '!fixtures/keep.js'] });
+  assert.equal(filter.excludes(join(root, 'test/a.js')), true);
+  assert.equal(filter.excludes(join(root, 'src/test_utils.js')), false);
+  assert.equal(filter.excludes(join(root, 'fixtures/drop.js')), true);
+  assert.equal(filter.excludes(join(root, 'fixtures/keep.js')), false);
+});
+
+test('exclude rules apply to files outside the project root', t => {
+  const parent = fixture(t);
+  const root = join(parent, 'app');
+  const vendored = join(parent, 'node_modules/lib/index.js');
+  const shared = join(parent, 'shared/generated/types.go');
+
+  assert.equal(createPathFilter(root, { exclude: ['node_modules/'] }).excludes(vendored), true);
+  assert.equal(createPathFilter(root, { exclude: ['node_modules'] }).excludes(vendored), true);
+  assert.equal(createPathFilter(root, { exclude: ['generated'] }).excludes(shared), true);
+  assert.equal(createPathFilter(root, { exclude: [`^${dirname(dirname(shared))}`] }).excludes(shared), true);
+  assert.equal(createPathFilter(root, { exclude: ['dist/'] }).excludes(shared), false);
+});
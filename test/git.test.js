@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'node:path';
+import { rmSync, writeFileSync } from 'node:fs';
+
+import { changedFiles, collectDiffs } from '../lib/git.js';
+import { fixture, repo, git, scanex } from './helpers.js';
+
+const LINES = Array.from({ length: 20 }, (_, i) => `export const v${i} = ${i};`).join('\n') + '\n';
+
+// a.js renamed to a2.js with one line edited, and the rename staged
+function renamedRepo(t, { edit = true } = {}) {
+  const root = repo(t, { 'a.js': LINES });
+  git(root, 'mv', 'a.js', 'a2.js');
+  if (edit) writeFileSync(join(root, 'a2.js'), LINES.replace('v3 = 3', 'v3 = 33'));
+  git(root, 'add', '-A');
+  return root;
+}
+
+test('changedFiles reports staged renames', t => {
+  const root = renamedRepo(t);
+  const { changed, renamed } = changedFiles(root, { staged: true });
+  assert.deepEqual(changed, [join(root, 'a2.js')]);
+  assert.deepEqual(renamed, [{ from: join(root, 'a.js'), to: join(root, 'a2.js') }]);
+});
+
+for (const [label, options] of [['staged', { staged: true }], ['since', { since: 'HEAD' }]]) {
+  test(`collectDiffs pairs renamed files with their old path (${label})`, t => {
+    const root = renamedRepo(t);
+    const diff = collectDiffs(root, [join(root, 'a2.js')], options).get(join(root, 'a2.js'));
+    assert.match(diff, /^--- a\/a\.js\n\+\+\+ b\/a2\.js\n/);
+    assert.doesNotMatch(diff, /\/dev\/null/);
+    assert.match(diff, /^-export const v3 = 3;$/m);
+    assert.match(diff, /^\+export const v3 = 33;$/m);
+  });
+}
+
+test('collectDiffs skips pure renames', t => {
+  const root = renamedRepo(t, { edit: false });
+  assert.equal(collectDiffs(root, [join(root, 'a2.js')], { staged: true }).size, 0);
+});
+
+/* --since / --staged seeding ---------------------------------------------- */
+// main.js imports util.js; other.js and gone.js are unrelated
+function changesRepo(t) {
+  const root = repo(t, {
+    'src/main.js': "import './util.js';\n",
+    'src/util.js': 'export {};\n',
+    'src/other.js': 'export {};\n',
+    'src/gone.js': 'export {};\n'
+  });
+  git(root, 'tag', 'base');
+  return root;
+}
+
+function seeded(root, ...args) {
+  const { status, stdout, stderr } = scanex(root, ['-f', 'json', ...args]);
+  assert.equal(status, 0, stderr);
+  return { files: JSON.parse(stdout).files.map(f => [f.path, f.seed]), stderr };
+}
+
+test('--since seeds the files changed since the ref, untracked ones included, and follows their imports', t => {
+  const root = changesRepo(t);
+  writeFileSync(join(root, 'src/main.js'), "import './util.js';\nexport const main = 1;\n");
+  git(root, 'commit', '-qam', 'edit main');
+  writeFileSync(join(root, 'src/new.js'), 'export {};\n');
+  rmSync(join(root, 'src/gone.js'));
+
+  const { files, stderr } = seeded(root, '--since', 'base');
+  assert.deepEqual(files, [['src/main.js', true], ['src/new.js', true], ['src/util.js', false]]);
+  assert.match(stderr, /🔀 2 files changed since base\n {2}deleted {2}src\/gone\.js\n/);
+});
+
+test('--staged seeds only what is in the index', t => {
+  const root = changesRepo(t);
+  writeFileSync(join(root, 'src/main.js'), "import './util.js';\nexport const main = 1;\n");
+  git(root, 'add', 'src/main.js');
+  writeFileSync(join(root, 'src/other.js'), 'export const other = 1;\n');
+  writeFileSync(join(root, 'src/new.js'), 'export {};\n');
+
+  const { files, stderr } = seeded(root, '--staged');
+  assert.deepEqual(files, [['src/main.js', true], ['src/util.js', false]]);
+  assert.match(stderr, /🔀 1 file staged\n/);
+});
+
+test('only changes inside the inputs are seeded', t => {
+  const root = changesRepo(t);
+  writeFileSync(join(root, 'src/other.js'), 'export const other = 1;\n');
+  writeFileSync(join(root, 'top.js'), 'export {};\n');
+  assert.deepEqual(seeded(root, 'src', '--since', 'base').files, [['src/other.js', true]]);
+});
+
+test('--since warns when nothing changed and rejects unknown refs', t => {
+  const root = changesRepo(t);
+  const { files, stderr } = seeded(root, '--since', 'base');
+  assert.deepEqual(files, []);
+  assert.match(stderr, /No changed files to scan/);
+
+  const unknown = scanex(root, ['-q', '--since', 'no-such-ref']);
+  assert.equal(unknown.status, 1);
+  assert.match(unknown.stderr, /Unknown git ref: no-such-ref/);
+
+  const both = scanex(root, ['-q', '--since', 'base', '--staged']);
+  assert.equal(both.status, 1);
+  assert.match(both.stderr, /--since and --staged cannot be combined/);
+});
+
+test('--since needs a git repository', t => {
+  const root = fixture(t, { 'a.js': 'export {};\n' });
+  const { status, stderr } = scanex(root, ['-q', '--since', 'main']);
+  assert.equal(status, 1);
+  assert.match(stderr, /--since needs a git repository/);
+});
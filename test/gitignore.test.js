@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+import { parseIgnoreFile, createIgnoreMatcher } from '../lib/gitignore.js';
+import { fixture, git, repo } from './helpers.js';
+
+// Which of `paths` a .gitignore holding `patterns` ignores
+function ignored(patterns, paths) {
+  const rules = parseIgnoreFile(patterns, '/repo', '.gitignore');
+  return paths.filter(path => {
+    const isDir = path.endsWith('/');
+    const rel = path.replace(/\/$/, '');
+    for (let i = rules.length - 1; i >= 0; i--) {
+      if (rules[i].dirOnly && !isDir) continue;
+      if (rules[i].regex.test(rel)) return !rules[i].negate;
+    }
+    return false;
+  });
+}
+
+test('the last matching rule wins, so ! re-includes', () => {
+  assert.deepEqual(ignored('*.log\n!keep.log\n', ['a.log', 'keep.log', 'logs/keep.log']), ['a.log']);
+  assert.deepEqual(ignored('!keep.log\n*.log\n', ['a.log', 'keep.log']), ['a.log', 'keep.log']);
+});
+
+test('a file cannot be re-included below an excluded directory', t => {
+  const root = repo(t, {
+    '.gitignore': 'build/\n!build/keep.js\ndist/*\n!dist/keep.js\n',
+    'build/keep.js': '',
+    'dist/keep.js': '',
+    'dist/drop.js': ''
+  });
+  const { ignores } = createIgnoreMatcher(root, { quiet: true });
+  assert.equal(ignores(join(root, 'build/keep.js')), true);
+  assert.equal(ignores(join(root, 'dist/keep.js')), false);
+  assert.equal(ignores(join(root, 'dist/drop.js')), true);
+});
+
+test('character classes, ? and * stay within one path segment', () => {
+  const paths = ['x.o', 'x.a', 'x.c', 'abc', 'bbc', 'a/bc', 'x.oo'];
+  assert.deepEqual(ignored('*.[oa]\n', paths), ['x.o', 'x.a']);
+  assert.deepEqual(ignored('[!a]bc\n', paths), ['bbc']);
+  assert.deepEqual(ignored('a?bc\n', paths), []);
+  assert.deepEqual(ignored('x.[a-c]\n', paths), ['x.a', 'x.c']);
+});
+
+test('** matches across directories only as a whole segment', () => {
+  const paths = ['logs/debug.log', 'logs/a/b/debug.log', 'debug.log', 'cache/x/y.js', 'cache', 'a/temp', 'temp'];
+  assert.deepEqual(ignored('logs/**/debug.log\n', paths), ['logs/debug.log', 'logs/a/b/debug.log']);
+  assert.deepEqual(ignored('**/temp\n', paths), ['a/temp', 'temp']);
+  assert.deepEqual(ignored('cache/**\n', paths), ['cache/x/y.js']);
+  assert.deepEqual(ignored('log**.log\n', ['logs/debug.log', 'logfile.log']), ['logfile.log']);
+});
+
+test('a leading or middle slash anchors the pattern to its .gitignore', t => {
+  assert.deepEqual(ignored('/root.txt\n', ['root.txt', 'sub/root.txt']), ['root.txt']);
+  assert.deepEqual(ignored('doc/frotz\n', ['doc/frotz', 'a/doc/frotz']), ['doc/frotz']);
+  assert.deepEqual(ignored('frotz\n', ['frotz', 'a/frotz', 'a/b/frotz']), ['frotz', 'a/frotz', 'a/b/frotz']);
+
+  const root = repo(t, { 'sub/.gitignore': '/x.js\n', 'sub/x.js': '', 'sub/deep/x.js': '', 'x.js': '' });
+  const { ignores } = createIgnoreMatcher(root, { quiet: true });
+  assert.equal(ignores(join(root, 'sub/x.js')), true);
+  assert.equal(ignores(join(root, 'sub/deep/x.js')), false);
+  assert.equal(ignores(join(root, 'x.js')), false);
+});
+
+test('a trailing slash matches directories only', () => {
+  assert.deepEqual(ignored('foo/\n', ['foo/', 'foo', 'a/foo/', 'a/foo']), ['foo/', 'a/foo/']);
+});
+
+test('escaped # and ! are literal', () => {
+  const paths = ['#notes', '!important', 'important', 'x'];
+  assert.deepEqual(ignored('#notes\n', paths), []);
+  assert.deepEqual(ignored('\\#notes\n\\!important\n', paths), ['#notes', '!important']);
+});
+
+test('info/exclude and core.excludesFile apply below .gitignore', t => {
+  const root = repo(t, { '.gitignore': '!local.txt\n', 'local.txt': '', 'secret.txt': '', 'notes.md': '' });
+  writeFileSync(join(root, '.git/info/exclude'), 'local.txt\nsecret.txt\n');
+  const global = join(fixture(t), 'ignore');
+  writeFileSync(global, '*.md\n');
+  git(root, 'config', 'core.excludesFile', global);
+
+  const { ignores } = createIgnoreMatcher(root, { quiet: true });
+  assert.equal(ignores(join(root, 'secret.txt')), true);
+  assert.equal(ignores(join(root, 'notes.md')), true);
+  // .gitignore outranks info/exclude
+  assert.equal(ignores(join(root, 'local.txt')), false);
+});
+
+test('info/exclude is read from the common directory of a worktree', t => {
+  const root = repo(t, { 'a.txt': '' });
+  mkdirSync(join(root, '.git/info'), { recursive: true });
+  writeFileSync(join(root, '.git/info/exclude'), 'scratch/\n');
+  const worktree = join(fixture(t), 'wt');
+  git(root, 'worktree', 'add', '-q', worktree);
+  mkdirSync(join(worktree, 'scratch'));
+  writeFileSync(join(worktree, 'scratch/x.txt'), '');
+
+  assert.equal(createIgnoreMatcher(worktree, { quiet: true }).ignores(join(worktree, 'scratch/x.txt')), true);
+});
@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'node:path';
+
+import { fixture, repo, scanex } from './helpers.js';
+
+function bundle(cwd, input) {
+  const { status, stdout } = scanex(cwd, [input, '-q', '-f', 'json']);
+  assert.equal(status, 0);
+  return JSON.parse(stdout);
+}
+const paths = result => result.files.map(f => f.path).sort();
+
+test('imports resolve through the module path in go.mod to every non-test file of the package', t => {
+  const root = repo(t, {
+    'go.mod': 'module example.com/app\n\ngo 1.22\n',
+    'main.go': 'package main\n\nimport (\n\t"fmt"\n\t"example.com/app/internal/util"\n)\n\nfunc main() { fmt.Println(util.Name()) }\n',
+    'internal/util/util.go': 'package util\n\nfunc Name() string { return helper() }\n',
+    'internal/util/helper.go': 'package util\n\nfunc helper() string { return "app" }\n',
+    'internal/util/util_test.go': 'package util\n'
+  });
+  const result = bundle(root, 'main.go');
+  assert.deepEqual(paths(result), ['internal/util/helper.go', 'internal/util/util.go', 'main.go']);
+  assert.deepEqual(result.unresolved.map(u => [u.spec.value, u.reason]), [['fmt', 'external package']]);
+});
+
+test('a file brings in the other files of its package', t => {
+  const root = repo(t, {
+    'go.mod': 'module example.com/app\n',
+    'main.go': 'package main\n\nfunc main() { run() }\n',
+    'run.go': 'package main\n\nfunc run() {}\n',
+    'run_test.go': 'package main\n'
+  });
+  assert.deepEqual(paths(bundle(root, 'main.go')), ['main.go', 'run.go']);
+});
+
+test('replace directives pointing at local directories are followed', t => {
+  const root = repo(t, {
+    'go.mod': 'module example.com/app\n\nrequire (\n\texample.com/lib v1.0.0\n\texample.com/other v1.0.0\n)\n\n' +
+      'replace example.com/lib => ./third_party/lib\nreplace example.com/other v1.0.0 => example.com/fork v1.1.0\n',
+    'main.go': 'package main\n\nimport (\n\t"example.com/lib/strs"\n\t"example.com/other"\n)\n',
+    'third_party/lib/go.mod': 'module example.com/lib\n',
+    'third_party/lib/strs/strs.go': 'package strs\n'
+  });
+  const result = bundle(root, 'main.go');
+  assert.deepEqual(paths(result), ['main.go', 'third_party/lib/strs/strs.go']);
+  assert.deepEqual(result.unresolved.map(u => u.spec.value), ['example.com/other']);
+});
+
+test('go.work makes the modules it uses importable from each other', t => {
+  const root = repo(t, {
+    'go.work': 'go 1.22\n\nuse (\n\t./app\n\t./lib\n)\n',
+    'app/go.mod': 'module example.com/app\n',
+    'app/main.go': 'package main\n\nimport "example.com/lib/greet"\n\nfunc main() { greet.Hello() }\n',
+    'lib/go.mod': 'module example.com/lib\n',
+    'lib/greet/greet.go': 'package greet\n\nfunc Hello() {}\n'
+  });
+  assert.deepEqual(paths(bundle(root, 'app/main.go')), ['app/main.go', 'lib/greet/greet.go']);
+});
+
+test('a module of a go.work outside git is rooted at the workspace', t => {
+  const root = fixture(t, {
+    'go.work': 'go 1.22\n\nuse (\n\t./app\n\t./lib\n)\n',
+    'app/go.mod': 'module example.com/app\n',
+    'app/main.go': 'package main\n\nimport "example.com/lib/greet"\n',
+    'lib/go.mod': 'module example.com/lib\n',
+    'lib/greet/greet.go': 'package greet\n'
+  });
+  assert.deepEqual(paths(bundle(join(root, 'app'), 'main.go')), ['app/main.go', 'lib/greet/greet.go']);
+});
+
+test('Go files are fenced as go', t => {
+  const root = repo(t, { 'go.mod': 'module example.com/app\n', 'main.go': 'package main\n' });
+  const { stdout } = scanex(root, ['main.go', '-q']);
+  assert.match(stdout, /#### `main\.go`\n```go\n/);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+import { repo, scanex } from './helpers.js';
+
+// a.js imports b.js twice, which draws a single arrow
+const PROJECT = {
+  'a.js': "import './b.js';\nimport { x } from './b.js';\nimport './style.css';\n",
+  'b.js': 'export const x = 1;\n',
+  'style.css': 'body {}\n'
+};
+
+function graph(t, type, ...args) {
+  const root = repo(t, PROJECT);
+  const { status, stdout } = scanex(root, ['a.js', '-q', '--graph', type, ...args]);
+  assert.equal(status, 0);
+  return stdout;
+}
+
+test('--graph dot draws one node per file and one edge per imported file', t => {
+  assert.equal(graph(t, 'dot'), [
+    'digraph scanex {',
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica"];',
+    '',
+    '  n0 [label="a.js", fillcolor="#f7df1e", fontcolor="#000000", tooltip="javascript", peripheries=2, penwidth=2];',
+    '  n1 [label="b.js", fillcolor="#f7df1e", fontcolor="#000000", tooltip="javascript"];',
+    '  n2 [label="style.css", fillcolor="#563d7c", fontcolor="#ffffff", tooltip="css"];',
+    '',
+    '  n0 -> n1;',
+    '  n0 -> n2;',
+    '}',
+    ''
+  ].join('\n'));
+});
+
+test('--graph mermaid draws seeds as stadiums and colours nodes by language', t => {
+  assert.equal(graph(t, 'mermaid'), [
+    'flowchart LR',
+    '  n0(["a.js"])',
+    '  n1["b.js"]',
+    '  n2["style.css"]',
+    '  n0 --> n1',
+    '  n0 --> n2',
+    '  classDef javascript fill:#f7df1e,color:#000000,stroke:#333',
+    '  class n0,n1 javascript',
+    '  classDef css fill:#563d7c,color:#ffffff,stroke:#333',
+    '  class n2 css',
+    ''
+  ].join('\n'));
+});
+
+test('--graph writes to --output instead of the bundle', t => {
+  const root = repo(t, PROJECT);
+  const { status, stdout } = scanex(root, ['a.js', '-q', '--graph', 'dot', '-o', 'deps.dot']);
+  assert.equal(status, 0);
+  assert.equal(stdout, '');
+  assert.match(readFileSync(join(root, 'deps.dot'), 'utf8'), /^digraph scanex \{\n/);
+});
+
+test('an unknown --graph type is rejected', t => {
+  const root = repo(t, PROJECT);
+  const { status, stderr } = scanex(root, ['a.js', '-q', '--graph', 'svg']);
+  assert.equal(status, 1);
+  assert.match(stderr, /Unknown --graph "svg"/);
+});
@@ -0,0 +1,44 @@
+// test/helpers.js
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+export const CLI = join(dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'scanex.js');
+
+// A temporary directory holding `files` (relative path -> content), removed
+// when the test ends
+export function fixture(t, files = {}) {
+  const root = mkdtempSync(join(tmpdir(), 'scanex-test-'));
+  t.after(() => rmSync(root, { recursive: true, force: true }));
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(root, path)), { recursive: true });
+    writeFileSync(join(root, path), content);
+  }
+  return root;
+}
+
+export function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+// An initialised repository with one commit of `files`
+export function repo(t, files = {}) {
+  const root = fixture(t, files);
+  git(root, 'init', '-q');
+  git(root, 'config', 'user.email', 'test@example.com');
+  git(root, 'config', 'user.name', 'test');
+  git(root, 'add', '-A');
+  git(root, 'commit', '-qm', 'initial', '--allow-empty');
+  return root;
+}
+
+// Runs the CLI; never throws, so tests can check the exit status
+export function scanex(cwd, args, { env = {} } = {}) {
+  const { status, stdout, stderr } = spawnSync(process.execPath, [CLI, ...args], {
+    cwd, encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'],
+    env: { ...process.env, ...env }
+  });
+  return { status, stdout, stderr };
+}
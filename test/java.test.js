@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { scan } from '../lib/lang/java.js';
+import { repo, scanex } from './helpers.js';
+
+const bundle = (root, input) => JSON.parse(scanex(root, [input, '-q', '-f', 'json']).stdout);
+
+test('imports never resolve to a prefix of their package', t => {
+  const root = repo(t, {
+    'pom.xml': '<project></project>\n',
+    'src/main/java/app/App.java': 'package app;\nimport com.acme.Missing;\nclass App { Missing m; }\n',
+    'src/main/java/com.java': 'class com {}\n',
+    'src/main/java/com/acme.java': 'class acme {}\n'
+  });
+  const { files, unresolved } = bundle(root, 'src/main/java/app/App.java');
+  assert.deepEqual(files.map(f => f.path), ['src/main/java/app/App.java']);
+  assert.deepEqual(unresolved.map(u => u.spec.value), ['com.acme.Missing']);
+});
+
+test('nested classes and static members resolve to the outermost class', t => {
+  const root = repo(t, {
+    'pom.xml': '<project></project>\n',
+    'src/main/java/app/App.java':
+      'package app;\nimport com.acme.Foo.Inner;\nimport static com.acme.Bar.max;\nclass App {}\n',
+    'src/main/java/com/acme/Foo.java': 'package com.acme;\npublic class Foo { public static class Inner {} }\n',
+    'src/main/java/com/acme/Bar.java': 'package com.acme;\npublic class Bar { public static int max() { return 1; } }\n'
+  });
+  const { files } = bundle(root, 'src/main/java/app/App.java');
+  assert.deepEqual(files.map(f => f.path).sort(), [
+    'src/main/java/app/App.java', 'src/main/java/com/acme/Bar.java', 'src/main/java/com/acme/Foo.java'
+  ]);
+});
+
+test('names only lists classes the package or an on-demand import may provide', () => {
+  const src = [
+    'package app;',
+    'import java.util.*;',
+    'import com.acme.Foo;',
+    '@Deprecated',
+    'public class App<T> implements Runnable {',
+    '  static final int MAX_SIZE = Integer.MAX_VALUE;',
+    '  enum Mode { ON, OFF }',
+    '  Helper helper = new Helper(Foo.DEFAULT);',
+    '  List<String> names = new ArrayList<>();',
+    '  public void run() { System.out.println(Mode.ON); }',
+    '}'
+  ].join('\n');
+  const specs = scan(src, { file: '/p/app/App.java' });
+  const pkg = specs.find(s => s.type === 'java_package');
+  assert.deepEqual(pkg.names, ['ArrayList', 'Helper']);
+  assert.deepEqual(specs.find(s => s.value === 'java.util.*').names, ['ArrayList', 'Helper']);
+});
+
+test('Java and Kotlin files are fenced with their language', t => {
+  const root = repo(t, {
+    'pom.xml': '<project></project>\n',
+    'src/main/java/app/App.java': 'package app;\nimport app.util.Strings;\nclass App {}\n',
+    'src/main/kotlin/app/util/Strings.kt': 'package app.util\nobject Strings\n'
+  });
+  const { stdout } = scanex(root, ['src/main/java/app/App.java', '-q']);
+  assert.match(stdout, /#### `src\/main\/java\/app\/App\.java`\n```java\n/);
+  assert.match(stdout, /#### `src\/main\/kotlin\/app\/util\/Strings\.kt`\n```kotlin\n/);
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+import { repo, scanex } from './helpers.js';
+
+const PROJECT = {
+  'src/a.js': "import './b.js';\nimport 'left-pad';\n",
+  'src/b.js': 'export {};\n'
+};
+
+test('--format json emits files, the import graph and unresolved imports', t => {
+  const root = repo(t, PROJECT);
+  const { status, stdout } = scanex(root, ['src/a.js', '-q', '-f', 'json']);
+  assert.equal(status, 0);
+  assert.deepEqual(JSON.parse(stdout), {
+    projectRoot: root,
+    inputs: ['src/a.js'],
+    files: [
+      { path: 'src/a.js', language: 'javascript', size: 36, depth: 0, seed: true, contents: PROJECT['src/a.js'] },
+      { path: 'src/b.js', language: 'javascript', size: 11, depth: 1, seed: false, contents: PROJECT['src/b.js'] }
+    ],
+    edges: [{ from: 'src/a.js', to: 'src/b.js', spec: './b.js', resolver: 'relative' }],
+    unresolved: [{ file: 'src/a.js', spec: 'left-pad', plugin: 'javascript', reason: 'external package' }],
+    redactions: [],
+    warnings: []
+  });
+});
+
+test('specs other than strings keep their type and value', t => {
+  const root = repo(t, {
+    'Gemfile': '',
+    'app/models/user.rb': "require_relative 'concerns/named'\n",
+    'app/models/concerns/named.rb': '# shared naming helpers\n'
+  });
+  const { edges } = JSON.parse(scanex(root, ['app/models/user.rb', '-q', '-f', 'json']).stdout);
+  assert.deepEqual(edges, [{
+    from: 'app/models/user.rb',
+    to: 'app/models/concerns/named.rb',
+    spec: { type: 'require_relative', value: 'concerns/named' },
+    resolver: 'ruby'
+  }]);
+});
+
+test('--output writes the same document to a file', t => {
+  const root = repo(t, PROJECT);
+  const printed = scanex(root, ['src/a.js', '-q', '-f', 'json']).stdout;
+  const { status, stdout } = scanex(root, ['src/a.js', '-q', '-f', 'json', '-o', 'bundle.json']);
+  assert.equal(status, 0);
+  assert.equal(stdout, '');
+  assert.deepEqual(JSON.parse(readFileSync(join(root, 'bundle.json'), 'utf8')), JSON.parse(printed));
+});
+
+test('an unknown --format is rejected', t => {
+  const root = repo(t, PROJECT);
+  const { status, stderr } = scanex(root, ['src/a.js', '-q', '-f', 'yaml']);
+  assert.notEqual(status, 0);
+  assert.match(stderr, /format/);
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'node:path';
+
+import { outlineFiles } from '../lib/outline.js';
+import { fixture, repo, scanex } from './helpers.js';
+
+// main.js imports helper.js, which imports deep.js
+const PROJECT = {
+  'main.js': "import { helper } from './helper.js';\nexport function main() {\n  return helper(1);\n}\n",
+  'helper.js': "import { deep } from './deep.js';\n/** Doubles n */\nexport function helper(n) {\n  return deep(n) * 2;\n}\n" +
+    'export class Box {\n  size() {\n    return 1;\n  }\n}\n',
+  'deep.js': 'export const deep = n => {\n  return n + 1;\n};\n'
+};
+
+function outlined(t, ...args) {
+  const root = repo(t, PROJECT);
+  const { status, stdout } = scanex(root, ['main.js', '-q', '-f', 'json', ...args]);
+  assert.equal(status, 0);
+  return new Map(JSON.parse(stdout).files.map(f => [f.path, f]));
+}
+
+test('--outline collapses the function bodies of dependencies and keeps the inputs whole', t => {
+  const files = outlined(t, '--outline');
+  assert.equal(files.get('main.js').contents, PROJECT['main.js']);
+  assert.equal(files.get('main.js').outline, undefined);
+  assert.equal(files.get('helper.js').contents,
+    "import { deep } from './deep.js';\n/** Doubles n */\nexport function helper(n) { … }\n" +
+    'export class Box {\n  size() { … }\n}\n');
+  assert.equal(files.get('helper.js').outline, true);
+  assert.equal(files.get('deep.js').contents, 'export const deep = n => { … };\n');
+});
+
+test('--outline-depth keeps dependencies nearer than that in full', t => {
+  const files = outlined(t, '--outline-depth', '2');
+  assert.equal(files.get('helper.js').contents, PROJECT['helper.js']);
+  assert.equal(files.get('helper.js').outline, undefined);
+  assert.equal(files.get('deep.js').outline, true);
+});
+
+test('outlined files are marked in their Markdown header', t => {
+  const root = repo(t, PROJECT);
+  const { stdout } = scanex(root, ['main.js', '-q', '--outline']);
+  assert.match(stdout, /#### `helper\.js` \(outline\)\n```javascript\n/);
+  assert.match(stdout, /#### `main\.js`\n```javascript\n/);
+});
+
+test('Python docstrings survive outlining; files without an outline are left alone', async t => {
+  const root = fixture(t, {
+    'tool.py': "def run(x):\n    '''Runs.'''\n    return x + 1\n\ndef noop():\n    '''Does nothing.'''\n",
+    'style.css': 'body {\n  color: red;\n}\n'
+  });
+  const outlines = await outlineFiles([join(root, 'tool.py'), join(root, 'style.css')]);
+  assert.deepEqual([...outlines], [
+    [join(root, 'tool.py'), "def run(x):\n    '''Runs.'''\n    …\n\ndef noop():\n    '''Does nothing.'''\n"]
+  ]);
+});
+
+test('--outline-depth must be at least 1', t => {
+  const root = repo(t, PROJECT);
+  const { status, stderr } = scanex(root, ['main.js', '-q', '--outline-depth', '0']);
+  assert.equal(status, 1);
+  assert.match(stderr, /--outline-depth expects a number of hops/);
+});
@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+import { scan } from '../lib/scan.js';
+import { repo } from './helpers.js';
+
+test('a class file added to a classmap directory is found by the next scan', async t => {
+  const root = repo(t, {
+    'composer.json': '{ "autoload": { "classmap": ["lib/"] } }\n',
+    'src/index.php': '<?php\nuse Legacy\\Widget;\n\nnew Widget();\n',
+    'lib/Gadget.php': '<?php\nnamespace Legacy;\n\nclass Gadget {}\n'
+  });
+  const bundled = async () =>
+    (await scan({ inputs: ['src/index.php'], cwd: root, tree: false })).files.map(f => f.relPath).sort();
+
+  assert.deepEqual(await bundled(), ['src/index.php']);
+  writeFileSync(join(root, 'lib/Widget.php'), '<?php\nnamespace Legacy;\n\nclass Widget {}\n');
+  assert.deepEqual(await bundled(), ['lib/Widget.php', 'src/index.php']);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createScanPool } from '../lib/pool.js';
+import { fixture } from './helpers.js';
+
+// Plug-ins whose scan() takes the worker down on some files
+const PLUGINS = {
+  'exits.js': `
+export const name = 'exits';
+export const exts = ['.txt'];
+export function scan(src) {
+  if (src === 'exit') process.exit(3);
+  return [src];
+}
+`
+};
+
+test('files on a worker that exits come back as errors instead of hanging', async t => {
+  const pluginDir = fixture(t, PLUGINS);
+  const pool = createScanPool({ jobs: 2, pluginDir });
+  t.after(() => pool.close());
+
+  const results = await pool.parse([
+    { file: 'a.txt', src: 'a' },
+    { file: 'b.txt', src: 'exit' },
+    { file: 'c.txt', src: 'c' },
+    { file: 'd.txt', src: 'd' }
+  ]);
+  assert.deepEqual(results[0], ['a']);
+  assert.ok(results[1] instanceof Error);
+  assert.match(results[1].message, /exited with code 3/);
+  assert.deepEqual(results[2], ['c']);
+  assert.deepEqual(results[3], ['d']);
+});
+
+test('once every worker is gone, the remaining files fail', async t => {
+  const pluginDir = fixture(t, PLUGINS);
+  const pool = createScanPool({ jobs: 1, pluginDir });
+  t.after(() => pool.close());
+
+  const results = await pool.parse([
+    { file: 'a.txt', src: 'exit' },
+    { file: 'b.txt', src: 'b' }
+  ]);
+  assert.ok(results.every(r => r instanceof Error));
+  assert.ok((await pool.parse([{ file: 'c.txt', src: 'c' }]))[0] instanceof Error);
+});
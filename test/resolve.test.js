@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { loadPlugins, PLUGIN_DIR } from '../lib/core.js';
+import { repo, scanex } from './helpers.js';
+
+test('JavaScript and TypeScript extensions lead ALL_EXT', async () => {
+  const { ALL_EXT } = await loadPlugins(PLUGIN_DIR, true);
+  assert.deepEqual(ALL_EXT.slice(0, 6), ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx']);
+});
+
+test('extensionless relative imports prefer .js and .ts over other languages', t => {
+  const root = repo(t, {
+    'app.js': "import './native';\nimport './types';\n",
+    'native.c': 'int x;\n',
+    'native.js': 'export {};\n',
+    'types.h': 'int y;\n',
+    'types.ts': 'export {};\n'
+  });
+  const { status, stdout } = scanex(root, ['app.js', '-q', '-f', 'json']);
+  assert.equal(status, 0);
+  assert.deepEqual(JSON.parse(stdout).files.map(f => f.path).sort(), ['app.js', 'native.js', 'types.ts']);
+});
@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'node:path';
+
+import { fixture, repo, scanex } from './helpers.js';
+
+test('Rust files are fenced as rust', t => {
+  const root = repo(t, {
+    'Cargo.toml': '[package]\nname = "app"\n',
+    'src/main.rs': 'mod util;\nfn main() { util::run(); }\n',
+    'src/util.rs': 'pub fn run() {}\n'
+  });
+  const { status, stdout } = scanex(root, ['src/main.rs', '-q']);
+  assert.equal(status, 0);
+  assert.match(stdout, /#### `src\/main\.rs`\n```rust\n/);
+  assert.match(stdout, /#### `src\/util\.rs`\n```rust\n/);
+});
+
+test('mod declarations are resolved by the Rust plugin before the others', t => {
+  const root = repo(t, {
+    'Cargo.toml': '[package]\nname = "app"\n',
+    'src/main.rs': 'mod util;\nfn main() { util::run(); }\n',
+    'src/util.rs': 'mod helper;\npub fn run() { helper::go(); }\n',
+    'src/util/helper.rs': 'pub fn go() {}\n'
+  });
+  const { status, stdout } = scanex(root, ['src/main.rs', '-q', '-f', 'json']);
+  assert.equal(status, 0);
+  const { files, edges } = JSON.parse(stdout);
+  assert.deepEqual(files.map(f => f.path).sort(), ['src/main.rs', 'src/util.rs', 'src/util/helper.rs']);
+  assert.deepEqual(edges.map(e => [e.from, e.to, e.resolver]), [
+    ['src/main.rs', 'src/util.rs', 'rust'],
+    ['src/util.rs', 'src/util/helper.rs', 'rust']
+  ]);
+});
+
+test('a member crate outside git is rooted at its workspace', t => {
+  const root = fixture(t, {
+    'Cargo.toml': '[workspace]\nmembers = ["crates/*"]\n',
+    'crates/app/Cargo.toml': '[package]\nname = "app"\n',
+    'crates/app/src/main.rs': 'use core_lib::run;\nfn main() { run(); }\n',
+    'crates/core-lib/Cargo.toml': '[package]\nname = "core-lib"\n',
+    'crates/core-lib/src/lib.rs': 'pub fn run() {}\n'
+  });
+  const { status, stdout } = scanex(join(root, 'crates/app'), ['src/main.rs', '-q', '-f', 'json']);
+  assert.equal(status, 0);
+  assert.deepEqual(JSON.parse(stdout).files.map(f => f.path).sort(), [
+    'crates/app/src/main.rs',
+    'crates/core-lib/src/lib.rs'
+  ]);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { repo, scanex } from './helpers.js';
+
+// path -> { contents, slice } of a --slice bundle
+function sliced(root, input) {
+  const { status, stdout } = scanex(root, [input, '--slice', '-q', '-f', 'json']);
+  assert.equal(status, 0);
+  return Object.fromEntries(JSON.parse(stdout).files.map(f => [f.path, { contents: f.contents, slice: Boolean(f.slice) }]));
+}
+
+const LIB = 'const helper = () => 1;\n\nexport const a = helper();\n\nexport function b() {\n  return 2;\n}\n\n' +
+  'export default function main() {\n  return 3;\n}\n';
+
+test('named imports keep the declarations they name and what those use', t => {
+  const root = repo(t, { 'app.js': "import { a } from './lib.js';\n", 'lib.js': LIB });
+  const { contents, slice } = sliced(root, 'app.js')['lib.js'];
+  assert.equal(slice, true);
+  assert.match(contents, /const helper = \(\) => 1;/);
+  assert.match(contents, /export const a = helper\(\);/);
+  assert.doesNotMatch(contents, /function b|function main/);
+});
+
+test('a default import keeps the default export', t => {
+  const root = repo(t, { 'app.js': "import main from './lib.js';\n", 'lib.js': LIB });
+  const { contents, slice } = sliced(root, 'app.js')['lib.js'];
+  assert.equal(slice, true);
+  assert.match(contents, /export default function main\(\)/);
+  assert.doesNotMatch(contents, /helper|function b/);
+});
+
+test('a namespace import keeps the whole file', t => {
+  const root = repo(t, { 'app.js': "import * as lib from './lib.js';\n", 'lib.js': LIB });
+  assert.deepEqual(sliced(root, 'app.js')['lib.js'], { contents: LIB, slice: false });
+});
+
+test('re-exports pass on only the names their importers use', t => {
+  const root = repo(t, {
+    'app.js': "import { a } from './index.js';\n",
+    'index.js': "export { a } from './a.js';\nexport { c } from './c.js';\n",
+    'a.js': 'export const a = 1;\nexport const unused = 2;\n',
+    'c.js': 'export function c() {\n  return 3;\n}\n'
+  });
+  const files = sliced(root, 'app.js');
+  assert.equal(files['index.js'].slice, true);
+  assert.match(files['index.js'].contents, /export \{ a \} from '\.\/a\.js';/);
+  assert.doesNotMatch(files['index.js'].contents, /c\.js/);
+  assert.equal(files['a.js'].slice, true);
+  assert.doesNotMatch(files['a.js'].contents, /unused/);
+  // Its only importer is a re-export that the slice of index.js dropped
+  assert.equal(files['c.js'].slice, true);
+  assert.doesNotMatch(files['c.js'].contents, /function c/);
+});
+
+test('Python from-imports keep the names they import', t => {
+  const root = repo(t, {
+    'main.py': 'from util import run\n\nrun()\n',
+    'util.py': 'import os\n\n\ndef run():\n    return walk()\n\n\ndef walk():\n    return os.sep\n\n\n' +
+      'def unused():\n    return 1\n'
+  });
+  const { contents, slice } = sliced(root, 'main.py')['util.py'];
+  assert.equal(slice, true);
+  assert.match(contents, /^import os\n/);
+  assert.match(contents, /def run\(\):/);
+  assert.match(contents, /def walk\(\):/);
+  assert.doesNotMatch(contents, /def unused/);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+
+import { createWatcher } from '../lib/watch.js';
+import { CLI, fixture, repo, scanex } from './helpers.js';
+
+// Polls `check` until it returns something truthy, failing after `timeout` ms
+async function waitFor(check, what, timeout = 10000) {
+  for (const start = Date.now(); Date.now() - start < timeout; await sleep(50)) {
+    const value = check();
+    if (value) return value;
+  }
+  throw new Error(`Timed out waiting for ${what}`);
+}
+
+test('the watcher reports a burst of changes in one call', async t => {
+  const root = fixture(t, { 'a.js': '', 'b.js': '' });
+  const calls = [];
+  const watcher = createWatcher({ debounce: 100, onChange: events => { calls.push(events); } });
+  t.after(() => watcher.close());
+  watcher.update([root]);
+  assert.equal(watcher.size, 1);
+
+  writeFileSync(join(root, 'a.js'), 'export {};\n');
+  writeFileSync(join(root, 'b.js'), 'export {};\n');
+  writeFileSync(join(root, 'c.js'), 'export {};\n');
+  await waitFor(() => calls.length, 'the watcher to fire');
+  await sleep(300);
+
+  assert.equal(calls.length, 1);
+  const types = new Map(calls[0].map(e => [e.path, e.type]));
+  assert.deepEqual([...types.keys()].sort(), ['a.js', 'b.js', 'c.js'].map(f => join(root, f)));
+  assert.equal(types.get(join(root, 'c.js')), 'rename');
+});
+
+test('a closed watcher stops reporting', async t => {
+  const root = fixture(t, { 'a.js': '' });
+  let calls = 0;
+  const watcher = createWatcher({ debounce: 50, onChange: () => { calls++; } });
+  watcher.update([root]);
+  watcher.close();
+  assert.equal(watcher.size, 0);
+
+  writeFileSync(join(root, 'a.js'), 'export {};\n');
+  await sleep(300);
+  assert.equal(calls, 0);
+});
+
+test('--watch rewrites the bundle when a bundled file changes', async t => {
+  const root = repo(t, {
+    'src/main.js': "import './util.js';\n",
+    'src/util.js': 'export {};\n'
+  });
+  const output = join(root, 'bundle.md');
+  const child = spawn(process.execPath, [CLI, 'src/main.js', '--watch', '-o', 'bundle.md'], {
+    cwd: root, stdio: ['ignore', 'ignore', 'pipe']
+  });
+  t.after(() => child.kill());
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr += chunk; });
+
+  await waitFor(() => stderr.includes('👀 Watching'), 'the first bundle');
+  assert.doesNotMatch(readFileSync(output, 'utf8'), /extra\.js/);
+
+  writeFileSync(join(root, 'src/extra.js'), 'export const extra = 1;\n');
+  writeFileSync(join(root, 'src/util.js'), "import './extra.js';\n");
+  await waitFor(() => stderr.includes('🔄 Rebuilt'), 'a rebuild');
+  await waitFor(() => readFileSync(output, 'utf8').includes('export const extra = 1;'), 'the bundle to be rewritten');
+
+  assert.match(stderr, /🔄 Rebuilt: 3 files \(1 changed, 1 added, 0 removed\)\n {2}~ src\/util\.js\n {2}\+ src\/extra\.js\n/);
+  assert.match(readFileSync(output, 'utf8'), /import '\.\/extra\.js';/);
+  assert.equal(child.exitCode, null);
+});
+
+test('--watch needs --output', t => {
+  const root = repo(t, { 'a.js': 'export {};\n' });
+  const { status, stderr } = scanex(root, ['a.js', '--watch']);
+  assert.equal(status, 1);
+  assert.match(stderr, /--watch needs --output/);
+});